@@ -0,0 +1,62 @@
+// brand-names.js - Well-known trade names of medicines and consumer chemicals
+// PubChem's synonym lists mix brand names in with everything else and rarely mark them with ® or ™,
+// so the synonyms classifier looks them up here. Keys are lower case; add names as students ask for them.
+
+const BRAND_NAMES = new Set([
+  // Analgesics and anti-inflammatories
+  'anacin', 'bufferin', 'durlaza', 'easprin', 'ecotrin', 'zorprin',
+  'calpol', 'ofirmev', 'panadol', 'tempra', 'tylenol',
+  'advil', 'brufen', 'caldolor', 'motrin', 'nurofen',
+  'aleve', 'anaprox', 'naprosyn',
+  'cataflam', 'voltaren', 'celebrex',
+  'ms contin', 'oxycontin', 'roxicodone', 'ultram', 'duragesic', 'sublimaze', 'narcan',
+  'imitrex',
+
+  // Stimulants
+  'cafcit', 'nodoz', 'vivarin',
+
+  // Cardiovascular and metabolic
+  'lipitor', 'zocor', 'crestor', 'pravachol', 'mevacor',
+  'prinivil', 'zestril', 'vasotec', 'norvasc', 'cozaar', 'diovan',
+  'lopressor', 'toprol-xl', 'tenormin', 'inderal', 'microzide', 'lasix',
+  'coumadin', 'jantoven', 'plavix', 'eliquis', 'xarelto',
+  'fortamet', 'glucophage', 'glumetza', 'riomet', 'januvia', 'jardiance', 'ozempic', 'rybelsus', 'wegovy',
+  'euthyrox', 'levoxyl', 'synthroid',
+
+  // Digestive
+  'losec', 'prilosec', 'nexium', 'prevacid', 'protonix', 'pepcid', 'zantac',
+  'imodium', 'zofran',
+
+  // Psychiatric and neurological
+  'prozac', 'sarafem', 'zoloft', 'paxil', 'seroxat', 'celexa', 'cipralex', 'lexapro',
+  'wellbutrin', 'zyban', 'effexor', 'cymbalta',
+  'valium', 'xanax', 'ativan', 'klonopin', 'rivotril', 'ambien',
+  'seroquel', 'zyprexa', 'risperdal', 'abilify', 'lithobid',
+  'ritalin', 'concerta', 'adderall',
+  'neurontin', 'lyrica',
+
+  // Anti-infectives
+  'amoxil', 'augmentin', 'zithromax', 'cipro', 'levaquin', 'vibramycin', 'keflex', 'flagyl',
+  'bactrim', 'septra', 'tamiflu', 'zovirax',
+
+  // Allergy and respiratory
+  'zyrtec', 'claritin', 'allegra', 'benadryl', 'sudafed', 'singulair', 'ventolin', 'proair',
+
+  // Other prescription drugs
+  'viagra', 'revatio', 'cialis', 'propecia', 'proscar', 'deltasone',
+  'nolvadex', 'gleevec', 'glivec', 'trexall', 'xeljanz', 'accutane', 'rogaine', 'nicorette',
+
+  // Sweeteners and materials
+  'equal', 'nutrasweet', 'splenda', "sweet'n low",
+  'freon', 'kevlar', 'lucite', 'plexiglas', 'styrofoam', 'teflon', 'roundup'
+]);
+
+// True for a synonym that is a listed trade name, ignoring case and any ® or ™ sign
+function isBrandName(name) {
+  return BRAND_NAMES.has(name.replace(/\s*[®™]\s*/g, '').trim().toLowerCase());
+}
+
+module.exports = {
+  BRAND_NAMES,
+  isBrandName
+};
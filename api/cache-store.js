@@ -0,0 +1,305 @@
+// cache-store.js - Cache abstraction with interchangeable memory, filesystem and Redis backends
+
+const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// In-process store; fastest, but emptied on every cold start
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.store = new NodeCache({ useClones: false });
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async set(key, entry, ttlSeconds) {
+    this.store.set(key, entry, ttlSeconds);
+  }
+
+  async del(key) {
+    this.store.del(key);
+  }
+
+  getStats() {
+    return { keys: this.store.keys().length };
+  }
+}
+
+// Writes between sweeps for expired files; reads only delete the key they hit
+const FILE_SWEEP_INTERVAL_WRITES = 500;
+
+// One JSON file per key; survives restarts of the same machine (e.g. /tmp on a warm Vercel host)
+class FileBackend {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+    this.ready = fs.mkdir(directory, { recursive: true });
+    this.writesSinceSweep = 0;
+    this.lastSweep = null;
+    // Keys that are never read again would otherwise stay on disk forever
+    this.ready.then(() => this.sweep()).catch(() => { });
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async get(key) {
+    await this.ready;
+    let raw;
+    try {
+      raw = await fs.readFile(this.fileFor(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+
+    const stored = JSON.parse(raw);
+    if (stored.key !== key) return undefined;
+    if (stored.deleteAt && stored.deleteAt <= Date.now()) {
+      await this.del(key);
+      return undefined;
+    }
+    return stored.entry;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    await this.ready;
+    const file = this.fileFor(key);
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const stored = {
+      key,
+      entry,
+      deleteAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    };
+
+    // Write then rename so concurrent readers never see a partial file
+    await fs.writeFile(tmpFile, JSON.stringify(stored));
+    await fs.rename(tmpFile, file);
+
+    if (++this.writesSinceSweep >= FILE_SWEEP_INTERVAL_WRITES) {
+      this.sweep();
+    }
+  }
+
+  // Delete every file whose deleteAt has passed; resolves with the number removed and never throws
+  async sweep() {
+    this.writesSinceSweep = 0;
+    let removed = 0;
+    try {
+      await this.ready;
+      const names = await fs.readdir(this.directory);
+      for (const name of names.filter(file => file.endsWith('.json'))) {
+        const file = path.join(this.directory, name);
+        try {
+          const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+          if (stored.deleteAt && stored.deleteAt <= Date.now()) {
+            await fs.unlink(file);
+            removed++;
+          }
+        } catch (error) {
+          // Removed by a concurrent sweep or del(), or not one of ours; leave it
+        }
+      }
+      this.lastSweep = { at: new Date().toISOString(), removed };
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} expired cache file(s) from ${this.directory}`);
+      }
+    } catch (error) {
+      console.error('❌ Cache sweep error (file):', error.message);
+    }
+    return removed;
+  }
+
+  async del(key) {
+    await this.ready;
+    await fs.unlink(this.fileFor(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  getStats() {
+    return { directory: this.directory, last_sweep: this.lastSweep };
+  }
+}
+
+// Redis-protocol store shared by every instance; works with redis-server, Upstash, KeyDB, etc.
+class RedisBackend {
+  constructor(client) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(key);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, entry, ttlSeconds) {
+    if (ttlSeconds) {
+      await this.client.set(key, JSON.stringify(entry), 'EX', ttlSeconds);
+    } else {
+      await this.client.set(key, JSON.stringify(entry));
+    }
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  getStats() {
+    return { status: this.client.status };
+  }
+}
+
+let redisClient = null;
+
+function getRedisClient() {
+  if (!redisClient) {
+    const Redis = require('ioredis');
+    redisClient = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+      keyPrefix: 'molexa:',
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+    redisClient.on('error', error => console.error('❌ Redis cache error:', error.message));
+    redisClient.on('ready', () => console.log('💾 Redis cache connected'));
+  }
+  return redisClient;
+}
+
+function createBackend(type) {
+  switch (type) {
+    case 'redis':
+      return new RedisBackend(getRedisClient());
+    case 'file':
+      return new FileBackend(process.env.CACHE_DIR || path.join(os.tmpdir(), 'molexa-cache'));
+    case 'memory':
+      return new MemoryBackend();
+    default:
+      console.warn(`⚠️  Unknown CACHE_BACKEND "${type}", falling back to memory`);
+      return new MemoryBackend();
+  }
+}
+
+// Namespaced cache with a default TTL; backend failures degrade to cache misses.
+// Expired entries are kept for staleTTL seconds so callers can fall back to them when upstream fails.
+class CacheStore {
+  constructor({ namespace, stdTTL, staleTTL = 0, refreshAheadRatio = 0.1, backend }) {
+    this.namespace = namespace;
+    this.stdTTL = stdTTL;
+    this.staleTTL = staleTTL;
+    this.refreshAheadRatio = refreshAheadRatio;
+    this.backend = backend;
+    this.stats = { hits: 0, misses: 0, stale_hits: 0, sets: 0, errors: 0 };
+  }
+
+  backendKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  async get(key) {
+    const entry = await this.getEntry(key);
+    return entry ? entry.value : undefined;
+  }
+
+  // Full entry ({ value, storedAt, expiresAt, stale }) for callers that need timestamps.
+  // With allowStale, expired entries still inside the grace period come back with stale: true.
+  async getEntry(key, { allowStale = false } = {}) {
+    try {
+      const entry = await this.backend.get(this.backendKey(key));
+      if (!entry) {
+        this.stats.misses++;
+        return undefined;
+      }
+
+      const stale = entry.expiresAt <= Date.now();
+      if (stale && !allowStale) {
+        this.stats.misses++;
+        return undefined;
+      }
+
+      if (stale) {
+        this.stats.misses++;
+      } else {
+        this.stats.hits++;
+      }
+      return { ...entry, stale };
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.misses++;
+      console.error(`❌ Cache read error (${this.backend.name}):`, error.message);
+      return undefined;
+    }
+  }
+
+  // Count a stale entry that was actually served to a client
+  recordStaleHit() {
+    this.stats.stale_hits++;
+  }
+
+  // True once a fresh entry is within the last refreshAheadRatio of its lifetime
+  isNearExpiry(entry) {
+    if (!entry || entry.stale) return false;
+    const lifetime = entry.expiresAt - entry.storedAt;
+    return entry.expiresAt - Date.now() < lifetime * this.refreshAheadRatio;
+  }
+
+  async set(key, value, ttlSeconds = this.stdTTL) {
+    const entry = {
+      value,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttlSeconds * 1000
+    };
+
+    try {
+      // The backend keeps the entry through the grace period; expiresAt marks it stale
+      await this.backend.set(this.backendKey(key), entry, ttlSeconds + this.staleTTL);
+      this.stats.sets++;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ Cache write error (${this.backend.name}):`, error.message);
+    }
+    return entry;
+  }
+
+  async del(key) {
+    try {
+      await this.backend.del(this.backendKey(key));
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ Cache delete error (${this.backend.name}):`, error.message);
+    }
+  }
+
+  getStats() {
+    return {
+      backend: this.backend.name,
+      namespace: this.namespace,
+      ttl_seconds: this.stdTTL,
+      stale_grace_seconds: this.staleTTL,
+      ...this.stats,
+      ...this.backend.getStats()
+    };
+  }
+}
+
+// Backend is picked by CACHE_BACKEND=memory|file|redis (memory by default)
+function createCache({ namespace, stdTTL, staleTTL }) {
+  const backend = createBackend(process.env.CACHE_BACKEND || 'memory');
+  return new CacheStore({ namespace, stdTTL, staleTTL, backend });
+}
+
+module.exports = {
+  createCache,
+  CacheStore,
+  MemoryBackend,
+  FileBackend,
+  RedisBackend
+};
@@ -0,0 +1,690 @@
+// chem-formats.js - Readers and writers for the 3D and conversion endpoints
+// Reads SDF/MOL, XYZ, PDB, CML and atom/bond JSON into the molecule model from molecule.js, and writes
+// those formats plus MOL2. Everything runs locally; nothing here talks to PubChem.
+
+const {
+  ELEMENT_SYMBOLS,
+  createAtom,
+  elementSymbol,
+  parseError,
+  splitLines,
+  lastContentLine,
+  requireLine,
+  parseNumber,
+  parseInteger,
+  parseElement
+} = require('./molecule');
+const { parseSDF, parseMolfile } = require('./molfile');
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  xyz: { contentType: 'chemical/x-xyz', extension: 'xyz' },
+  pdb: { contentType: 'chemical/x-pdb', extension: 'pdb' },
+  mol2: { contentType: 'chemical/x-mol2', extension: 'mol2' },
+  mol: { contentType: 'chemical/x-mdl-molfile', extension: 'mol' },
+  sdf: { contentType: 'chemical/x-mdl-sdfile', extension: 'sdf' },
+  cml: { contentType: 'chemical/x-cml', extension: 'cml' }
+};
+
+// MOL2 is write-only: its SYBYL atom types do not round-trip into the model
+const READ_FORMATS = ['sdf', 'mol', 'xyz', 'pdb', 'cml', 'json'];
+
+// PubChem bond orders: 1-3 as usual; dative, complex, ionic and unknown bonds have no plain order
+const PUBCHEM_BOND_ORDERS = { 1: 1, 2: 2, 3: 3, 4: 4 };
+
+/**
+ * Build a molecule from one PC_Compounds entry of a PubChem 3D record.
+ * PubChem stores atoms, bonds and coordinates as parallel arrays keyed by 1-based atom ids (aid).
+ */
+function fromPubChemCompound(compound, title = null) {
+  const aids = compound?.atoms?.aid;
+  const conformer = compound?.coords?.[0]?.conformers?.[0];
+  if (!aids || !conformer || !conformer.z) {
+    return null;
+  }
+
+  const coordAids = compound.coords[0].aid;
+  const indexByAid = new Map(aids.map((aid, index) => [aid, index]));
+  const charges = new Map((compound.atoms.charge || []).map(({ aid, value }) => [aid, value]));
+  const position = new Map(coordAids.map((aid, index) => [aid, index]));
+
+  const atoms = aids.map((aid, index) => {
+    const at = position.get(aid);
+    const number = compound.atoms.element[index];
+    return createAtom(ELEMENT_SYMBOLS[number] || 'X', conformer.x[at], conformer.y[at], conformer.z[at], charges.get(aid) || 0);
+  });
+
+  const pcBonds = compound.bonds || { aid1: [], aid2: [], order: [] };
+  const bonds = pcBonds.aid1.map((aid1, index) => ({
+    from: indexByAid.get(aid1),
+    to: indexByAid.get(pcBonds.aid2[index]),
+    order: PUBCHEM_BOND_ORDERS[pcBonds.order[index]] || null
+  }));
+
+  return { title: title || (compound.id?.id?.cid ? `CID ${compound.id.id.cid}` : null), atoms, bonds };
+}
+
+// Compact viewer JSON: the molecule plus counts
+function toJSON(molecule) {
+  const hydrogens = molecule.atoms.filter(atom => atom.hydrogen).length;
+  return {
+    title: molecule.title,
+    counts: {
+      atoms: molecule.atoms.length,
+      heavy_atoms: molecule.atoms.length - hydrogens,
+      hydrogens,
+      bonds: molecule.bonds.length
+    },
+    atoms: molecule.atoms,
+    bonds: molecule.bonds,
+    ...(molecule.properties && Object.keys(molecule.properties).length > 0 ? { properties: molecule.properties } : {})
+  };
+}
+
+function fixed(value, width, digits = 4) {
+  return value.toFixed(digits).padStart(width);
+}
+
+function writeXYZ(molecule) {
+  const lines = [String(molecule.atoms.length), molecule.title || ''];
+  molecule.atoms.forEach(atom => {
+    lines.push(`${atom.element.padEnd(2)} ${fixed(atom.x, 10)} ${fixed(atom.y, 10)} ${fixed(atom.z, 10)}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Atom names are element + index, left-aligned in column 13 for two-letter elements and 14 otherwise
+function pdbAtomName(element, serial) {
+  const name = `${element.toUpperCase()}${serial}`.slice(0, 4);
+  return element.length === 2 || name.length === 4 ? name.padEnd(4) : ` ${name}`.padEnd(4);
+}
+
+function pdbCharge(charge) {
+  if (!charge) return '  ';
+  return `${Math.abs(charge)}${charge > 0 ? '+' : '-'}`;
+}
+
+function pdbRecords(molecule) {
+  const lines = [];
+  if (molecule.title) {
+    lines.push(`COMPND    ${molecule.title}`.slice(0, 80));
+  }
+
+  molecule.atoms.forEach((atom, index) => {
+    const serial = index + 1;
+    lines.push([
+      'HETATM',
+      String(serial).padStart(5),
+      ' ',
+      pdbAtomName(atom.element, serial),
+      ' ',
+      'UNL',
+      ' ',
+      'A',
+      '   1',
+      '    ',
+      fixed(atom.x, 8, 3),
+      fixed(atom.y, 8, 3),
+      fixed(atom.z, 8, 3),
+      '  1.00',
+      '  0.00',
+      '          ',
+      atom.element.toUpperCase().padStart(2),
+      pdbCharge(atom.charge)
+    ].join(''));
+  });
+
+  // CONECT lists up to four neighbours per record; double and triple bonds repeat the neighbour,
+  // the convention parsePDB reads back as the bond order
+  const neighbours = molecule.atoms.map(() => []);
+  molecule.bonds.forEach(({ from, to, order }) => {
+    const repeats = order === 2 || order === 3 ? order : 1;
+    for (let i = 0; i < repeats; i++) {
+      neighbours[from].push(to + 1);
+      neighbours[to].push(from + 1);
+    }
+  });
+  neighbours.forEach((list, index) => {
+    for (let start = 0; start < list.length; start += 4) {
+      const bonded = list.slice(start, start + 4).map(serial => String(serial).padStart(5)).join('');
+      lines.push(`CONECT${String(index + 1).padStart(5)}${bonded}`);
+    }
+  });
+
+  return lines;
+}
+
+function writePDB(molecule) {
+  return `${[...pdbRecords(molecule), 'END'].join('\n')}\n`;
+}
+
+// SYBYL types from the element and its highest bond order; good enough for viewers, not for force fields
+function sybylType(element, maxOrder) {
+  if (element === 'C') return maxOrder === 4 ? 'C.ar' : maxOrder === 3 ? 'C.1' : maxOrder === 2 ? 'C.2' : 'C.3';
+  if (element === 'N') return maxOrder === 4 ? 'N.ar' : maxOrder === 3 ? 'N.1' : maxOrder === 2 ? 'N.2' : 'N.3';
+  if (element === 'O') return maxOrder === 2 ? 'O.2' : 'O.3';
+  if (element === 'S') return maxOrder === 2 ? 'S.2' : 'S.3';
+  if (element === 'P') return 'P.3';
+  return element;
+}
+
+function mol2BondType(order) {
+  if (order === 4) return 'ar';
+  return order ? String(order) : 'un';
+}
+
+function writeMOL2(molecule) {
+  const maxOrders = molecule.atoms.map(() => 0);
+  molecule.bonds.forEach(({ from, to, order }) => {
+    maxOrders[from] = Math.max(maxOrders[from], order || 0);
+    maxOrders[to] = Math.max(maxOrders[to], order || 0);
+  });
+
+  const lines = [
+    '@<TRIPOS>MOLECULE',
+    molecule.title || 'UNL',
+    `${molecule.atoms.length} ${molecule.bonds.length} 1 0 0`,
+    'SMALL',
+    // Formal charges go in the charge column; there are no partial charges to report
+    molecule.atoms.some(atom => atom.charge) ? 'USER_CHARGES' : 'NO_CHARGES',
+    '',
+    '@<TRIPOS>ATOM'
+  ];
+  molecule.atoms.forEach((atom, index) => {
+    const id = index + 1;
+    lines.push(`${String(id).padStart(7)} ${`${atom.element}${id}`.padEnd(8)} ${fixed(atom.x, 10)} ${fixed(atom.y, 10)} ${fixed(atom.z, 10)} ${sybylType(atom.element, maxOrders[index]).padEnd(6)} 1 UNL1 ${fixed(atom.charge, 9)}`);
+  });
+  lines.push('@<TRIPOS>BOND');
+  molecule.bonds.forEach((bond, index) => {
+    lines.push(`${String(index + 1).padStart(6)} ${String(bond.from + 1).padStart(5)} ${String(bond.to + 1).padStart(5)} ${mol2BondType(bond.order)}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function pad3(value) {
+  return String(value).padStart(3);
+}
+
+// V2000 molfile; charges go in M  CHG lines, at most eight per line
+function writeMolfile(molecule) {
+  const flat = molecule.atoms.every(atom => atom.z === 0);
+  const lines = [
+    (molecule.title || '').slice(0, 80),
+    `  moleXa            ${flat ? '2D' : '3D'}`,
+    ''
+  ];
+  lines.push(`${pad3(molecule.atoms.length)}${pad3(molecule.bonds.length)}  0  0  0  0  0  0  0  0999 V2000`);
+
+  molecule.atoms.forEach(atom => {
+    lines.push(`${fixed(atom.x, 10)}${fixed(atom.y, 10)}${fixed(atom.z, 10)} ${atom.element.padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`);
+  });
+  molecule.bonds.forEach(bond => {
+    lines.push(`${pad3(bond.from + 1)}${pad3(bond.to + 1)}${pad3(bond.order || 8)}  0  0  0  0`);
+  });
+
+  const charged = molecule.atoms.map((atom, index) => [index + 1, atom.charge]).filter(([, charge]) => charge);
+  for (let start = 0; start < charged.length; start += 8) {
+    const chunk = charged.slice(start, start + 8);
+    lines.push(`M  CHG${pad3(chunk.length)}${chunk.map(([index, charge]) => ` ${pad3(index)} ${pad3(charge)}`).join('')}`);
+  }
+
+  lines.push('M  END');
+  return `${lines.join('\n')}\n`;
+}
+
+// Molfile followed by the molecule's data items and the $$$$ record separator
+function writeSDF(molecule) {
+  const data = Object.entries(molecule.properties || {})
+    .map(([name, value]) => `> <${name}>\n${value}\n\n`)
+    .join('');
+  return `${writeMolfile(molecule)}${data}$$$$\n`;
+}
+
+function escapeXML(value) {
+  return String(value).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+function unescapeXML(value) {
+  return value.replace(/&(lt|gt|amp|quot|apos);/g, (match, name) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" })[name]);
+}
+
+const CML_BOND_ORDERS = { 1: '1', 2: '2', 3: '3', 4: 'A' };
+
+function cmlMolecule(molecule, index) {
+  const lines = [`  <molecule id="m${index + 1}"${molecule.title ? ` title="${escapeXML(molecule.title)}"` : ''}>`, '    <atomArray>'];
+  molecule.atoms.forEach((atom, atomIndex) => {
+    const charge = atom.charge ? ` formalCharge="${atom.charge}"` : '';
+    lines.push(`      <atom id="a${atomIndex + 1}" elementType="${atom.element}" x3="${atom.x}" y3="${atom.y}" z3="${atom.z}"${charge}/>`);
+  });
+  lines.push('    </atomArray>', '    <bondArray>');
+  molecule.bonds.forEach(bond => {
+    const order = bond.order ? ` order="${CML_BOND_ORDERS[bond.order]}"` : '';
+    lines.push(`      <bond atomRefs2="a${bond.from + 1} a${bond.to + 1}"${order}/>`);
+  });
+  lines.push('    </bondArray>', '  </molecule>');
+  return lines;
+}
+
+// One <cml> document holding every molecule
+function writeCML(molecules) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<cml xmlns="http://www.xml-cml.org/schema">',
+    ...molecules.flatMap(cmlMolecule),
+    '</cml>'
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+const WRITERS = {
+  json: toJSON,
+  xyz: writeXYZ,
+  pdb: writePDB,
+  mol2: writeMOL2,
+  mol: writeMolfile,
+  sdf: writeSDF,
+  cml: molecule => writeCML([molecule])
+};
+
+/**
+ * Serialize a molecule; json returns an object, every other format a string.
+ */
+function writeMolecule(molecule, format) {
+  return WRITERS[format](molecule);
+}
+
+/**
+ * Serialize several molecules into one file: XYZ frames, PDB models, concatenated SDF and MOL2 records,
+ * one CML document, or an array of JSON molecules. A molfile holds a single structure.
+ */
+function writeMolecules(molecules, format) {
+  if (molecules.length === 1 || format === 'json') {
+    return format === 'json' ? molecules.map(toJSON) : writeMolecule(molecules[0], format);
+  }
+  if (format === 'cml') return writeCML(molecules);
+  if (format === 'pdb') {
+    const models = molecules.flatMap((molecule, index) => [`MODEL     ${String(index + 1).padStart(4)}`, ...pdbRecords(molecule), 'ENDMDL']);
+    return `${[...models, 'END'].join('\n')}\n`;
+  }
+  return molecules.map(molecule => writeMolecule(molecule, format)).join('');
+}
+
+// XYZ: atom count, comment line, then "element x y z" per atom; frames repeat for several molecules
+function parseXYZ(text) {
+  const lines = splitLines(text);
+  const last = lastContentLine(lines);
+  const molecules = [];
+  let index = 0;
+  while (index <= last) {
+    if (!lines[index].trim()) {
+      index++;
+      continue;
+    }
+    const count = parseInteger(lines[index], index, 'atom count');
+    const title = requireLine(lines, index + 1, 'comment line').trim();
+    const atoms = [];
+    for (let i = 0; i < count; i++) {
+      const lineIndex = index + 2 + i;
+      const fields = requireLine(lines, lineIndex, 'atom line').trim().split(/\s+/);
+      if (fields.length < 4) {
+        throw parseError('expected an element followed by x, y and z', { line: lineIndex + 1, field: 'coordinates' });
+      }
+      // Some programs write atomic numbers instead of symbols
+      const element = /^\d+$/.test(fields[0]) && ELEMENT_SYMBOLS[Number(fields[0])]
+        ? ELEMENT_SYMBOLS[Number(fields[0])]
+        : parseElement(fields[0], lineIndex, 'element');
+      atoms.push(createAtom(
+        element,
+        parseNumber(fields[1], lineIndex, 'x'),
+        parseNumber(fields[2], lineIndex, 'y'),
+        parseNumber(fields[3], lineIndex, 'z')
+      ));
+    }
+    molecules.push({ title: title || null, atoms, bonds: [], properties: {} });
+    index += 2 + count;
+  }
+  if (molecules.length === 0) {
+    throw parseError('the input is empty', { line: 1 });
+  }
+  return molecules;
+}
+
+// Element from columns 77-78, or from the atom name when those are blank (older files)
+function pdbElement(line, index) {
+  const column = line.slice(76, 78).trim();
+  if (column) return parseElement(column, index, 'element');
+
+  const name = line.slice(12, 16);
+  const letters = name.replace(/[^A-Za-z]/g, '');
+  const twoLetter = name[0] !== ' ' && elementSymbol(letters.slice(0, 2));
+  return twoLetter || parseElement(letters.slice(0, 1), index, 'atom name');
+}
+
+function pdbChargeValue(line, index) {
+  const text = line.slice(78, 80).trim();
+  if (!text) return 0;
+  const match = /^(\d)([+-])$/.exec(text);
+  if (!match) {
+    throw parseError(`expected a charge like "1-" or "2+", got "${text}"`, { line: index + 1, field: 'charge' });
+  }
+  return Number(match[1]) * (match[2] === '-' ? -1 : 1);
+}
+
+// CONECT bonds by serial number. A pair listed repeatedly from the same atom is a double or triple
+// bond, the convention pdbRecords and several other programs write; a pair listed once is single.
+function pdbBonds(serials, conects) {
+  const listed = new Map();
+  conects.forEach(({ index, source, targets }) => {
+    const from = serials.get(source);
+    if (from === undefined) {
+      throw parseError(`CONECT names atom serial ${source}, which has no ATOM/HETATM record`, { line: index + 1, field: 'serial' });
+    }
+    targets.forEach(({ serial, field }) => {
+      const to = serials.get(serial);
+      if (to === undefined) {
+        throw parseError(`CONECT names atom serial ${serial}, which has no ATOM/HETATM record`, { line: index + 1, field });
+      }
+      listed.set(`${from}:${to}`, (listed.get(`${from}:${to}`) || 0) + 1);
+    });
+  });
+
+  const bonds = [];
+  listed.forEach((count, key) => {
+    const [from, to] = key.split(':').map(Number);
+    if (from > to && listed.has(`${to}:${from}`)) return;
+    const repeats = Math.max(count, listed.get(`${to}:${from}`) || 0);
+    bonds.push({ from: Math.min(from, to), to: Math.max(from, to), order: Math.min(repeats, 3) });
+  });
+  return bonds;
+}
+
+// ATOM/HETATM records by column, COMPND/TITLE as the title and CONECT bonds; MODEL blocks become molecules
+function parsePDB(text) {
+  const lines = splitLines(text);
+  const molecules = [];
+  const sharedConects = [];
+  const titles = [];
+  let current = null;
+
+  const startMolecule = () => {
+    current = { atoms: [], serials: new Map(), conects: [] };
+    molecules.push(current);
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const record = line.slice(0, 6).trim().toUpperCase();
+
+    if (record === 'COMPND' || record === 'TITLE') {
+      titles.push(line.slice(10).trim());
+    } else if (record === 'MODEL') {
+      startMolecule();
+    } else if (record === 'ENDMDL') {
+      current = null;
+    } else if (record === 'ATOM' || record === 'HETATM') {
+      if (!current) startMolecule();
+      const serial = parseInteger(line.slice(6, 11), index, 'serial');
+      current.serials.set(serial, current.atoms.length);
+      current.atoms.push(createAtom(
+        pdbElement(line, index),
+        parseNumber(line.slice(30, 38), index, 'x'),
+        parseNumber(line.slice(38, 46), index, 'y'),
+        parseNumber(line.slice(46, 54), index, 'z'),
+        pdbChargeValue(line, index)
+      ));
+    } else if (record === 'CONECT') {
+      const source = parseInteger(line.slice(6, 11), index, 'serial');
+      const targets = [[11, 16], [16, 21], [21, 26], [26, 31]]
+        .map(([start, end], position) => ({ text: line.slice(start, end), field: `bonded atom ${position + 1}` }))
+        .filter(({ text: value }) => value.trim())
+        .map(({ text: value, field }) => ({ serial: parseInteger(value, index, field), field }));
+      (current ? current.conects : sharedConects).push({ index, source, targets });
+    } else if (record === 'END') {
+      break;
+    }
+  }
+
+  const found = molecules.filter(molecule => molecule.atoms.length > 0);
+  if (found.length === 0) {
+    throw parseError('no ATOM or HETATM records found', { line: 1, field: 'ATOM' });
+  }
+
+  // CONECT records inside a model belong to it; those after the last ENDMDL apply to every model
+  const title = titles.filter(Boolean).join(' ') || null;
+  return found.map(({ atoms, serials, conects }) => ({
+    title,
+    atoms,
+    bonds: pdbBonds(serials, conects.length > 0 ? conects : sharedConects),
+    properties: {}
+  }));
+}
+
+// Maps character offsets to 1-based lines by binary search over the newline positions, found once
+function lineLocator(text) {
+  const newlines = [];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    newlines.push(i);
+  }
+  return offset => {
+    let low = 0;
+    let high = newlines.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (newlines[middle] < offset) low = middle + 1;
+      else high = middle;
+    }
+    return low + 1;
+  };
+}
+
+function xmlAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    attributes[match[1]] = unescapeXML(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+const CML_ORDERS = { 1: 1, S: 1, 2: 2, D: 2, 3: 3, T: 3, A: 4 };
+
+function cmlCoordinate(attributes, names, line) {
+  const name = names.find(candidate => attributes[candidate] !== undefined);
+  if (!name) return null;
+  const value = Number(attributes[name]);
+  if (!attributes[name].trim() || !Number.isFinite(value)) {
+    throw parseError(`expected a number, got "${attributes[name]}"`, { line, field: name });
+  }
+  return value;
+}
+
+// CML atoms and bonds in the usual attribute form (elementType, x3/y3/z3 or x2/y2, atomRefs2, order).
+// A light scanner rather than a full XML parser: enough for files written by common toolkits.
+function parseCML(text) {
+  const source = String(text);
+  const lineAt = lineLocator(source);
+  const moleculePattern = /<(?:\w+:)?molecule\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?molecule>/g;
+  const molecules = [];
+  let moleculeMatch;
+
+  while ((moleculeMatch = moleculePattern.exec(source))) {
+    const bodyOffset = moleculeMatch.index + moleculeMatch[0].indexOf('>') + 1;
+    const body = moleculeMatch[2];
+    const attributes = xmlAttributes(moleculeMatch[1]);
+    const nameMatch = /<(?:\w+:)?name\b[^>]*>([^<]*)</.exec(body);
+    const atoms = [];
+    const atomIndexById = new Map();
+
+    const atomPattern = /<(?:\w+:)?atom\b([^>]*?)\/?>/g;
+    let atomMatch;
+    while ((atomMatch = atomPattern.exec(body))) {
+      const line = lineAt(bodyOffset + atomMatch.index);
+      const atom = xmlAttributes(atomMatch[1]);
+      if (!atom.id) {
+        throw parseError('atom has no id', { line, field: 'id' });
+      }
+      if (!atom.elementType) {
+        throw parseError(`atom "${atom.id}" has no elementType`, { line, field: 'elementType' });
+      }
+      const element = elementSymbol(atom.elementType);
+      if (!element) {
+        throw parseError(`"${atom.elementType}" is not an element symbol`, { line, field: 'elementType' });
+      }
+      const x = cmlCoordinate(atom, ['x3', 'x2'], line);
+      const y = cmlCoordinate(atom, ['y3', 'y2'], line);
+      if (x === null || y === null) {
+        throw parseError(`atom "${atom.id}" has no coordinates (x3/y3/z3 or x2/y2)`, { line, field: 'x3' });
+      }
+      const z = atom.x3 !== undefined ? cmlCoordinate(atom, ['z3'], line) || 0 : 0;
+      if (atom.formalCharge !== undefined && !/^[-+]?\d+$/.test(atom.formalCharge.trim())) {
+        throw parseError(`expected an integer, got "${atom.formalCharge}"`, { line, field: 'formalCharge' });
+      }
+      atomIndexById.set(atom.id, atoms.length);
+      atoms.push(createAtom(element, x, y, z, atom.formalCharge !== undefined ? Number(atom.formalCharge) : 0));
+    }
+
+    const bonds = [];
+    const bondPattern = /<(?:\w+:)?bond\b([^>]*?)\/?>/g;
+    let bondMatch;
+    while ((bondMatch = bondPattern.exec(body))) {
+      const line = lineAt(bodyOffset + bondMatch.index);
+      const bond = xmlAttributes(bondMatch[1]);
+      const refs = (bond.atomRefs2 || '').trim().split(/\s+/);
+      if (refs.length !== 2 || !refs[0]) {
+        throw parseError('expected atomRefs2 with two atom ids', { line, field: 'atomRefs2' });
+      }
+      const missing = refs.find(ref => !atomIndexById.has(ref));
+      if (missing) {
+        throw parseError(`atom "${missing}" is not defined in the atomArray`, { line, field: 'atomRefs2' });
+      }
+      bonds.push({
+        from: atomIndexById.get(refs[0]),
+        to: atomIndexById.get(refs[1]),
+        order: CML_ORDERS[(bond.order || '').toUpperCase()] || null
+      });
+    }
+
+    molecules.push({
+      title: attributes.title || (nameMatch ? unescapeXML(nameMatch[1].trim()) : null) || attributes.id || null,
+      atoms,
+      bonds,
+      properties: {}
+    });
+  }
+
+  if (molecules.length === 0) {
+    throw parseError('no <molecule> element found', { line: 1, field: 'molecule' });
+  }
+  return molecules;
+}
+
+// JSON.parse reports a character position; turn it into a line for the error
+function parseJSONText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const position = /position (\d+)/.exec(error.message);
+    throw parseError(`invalid JSON (${error.message})`, { line: position ? lineLocator(text)(Number(position[1])) : null });
+  }
+}
+
+function jsonMolecule(value, prefix) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.atoms)) {
+    throw parseError('expected a molecule object with an atoms array', { field: `${prefix}atoms` });
+  }
+
+  const atoms = value.atoms.map((atom, index) => {
+    const path = `${prefix}atoms[${index}]`;
+    const element = atom && typeof atom.element === 'string' ? elementSymbol(atom.element) : null;
+    if (!element) {
+      throw parseError(`expected an element symbol, got ${JSON.stringify(atom ? atom.element : atom)}`, { field: `${path}.element` });
+    }
+    ['x', 'y', 'z'].forEach(axis => {
+      if (typeof atom[axis] !== 'number' || !Number.isFinite(atom[axis])) {
+        throw parseError(`expected a number, got ${JSON.stringify(atom[axis])}`, { field: `${path}.${axis}` });
+      }
+    });
+    if (atom.charge !== undefined && atom.charge !== null && !Number.isInteger(atom.charge)) {
+      throw parseError(`expected an integer, got ${JSON.stringify(atom.charge)}`, { field: `${path}.charge` });
+    }
+    return createAtom(element, atom.x, atom.y, atom.z, atom.charge || 0);
+  });
+
+  const bonds = (value.bonds || []).map((bond, index) => {
+    const path = `${prefix}bonds[${index}]`;
+    ['from', 'to'].forEach(end => {
+      if (!bond || !Number.isInteger(bond[end]) || bond[end] < 0 || bond[end] >= atoms.length) {
+        throw parseError(`expected a 0-based atom index below ${atoms.length}, got ${JSON.stringify(bond ? bond[end] : bond)}`, { field: `${path}.${end}` });
+      }
+    });
+    if (bond.order !== undefined && bond.order !== null && ![1, 2, 3, 4].includes(bond.order)) {
+      throw parseError(`expected 1, 2, 3, 4 (aromatic) or null, got ${JSON.stringify(bond.order)}`, { field: `${path}.order` });
+    }
+    return { from: bond.from, to: bond.to, order: bond.order || null };
+  });
+
+  const properties = value.properties && typeof value.properties === 'object'
+    ? Object.fromEntries(Object.entries(value.properties).map(([name, text]) => [name, String(text)]))
+    : {};
+
+  return { title: typeof value.title === 'string' ? value.title : null, atoms, bonds, properties };
+}
+
+// Atom/bond JSON as written by toJSON: one molecule, an array of them, or { molecules: [...] }
+function parseMoleculeJSON(input) {
+  const value = typeof input === 'string' ? parseJSONText(input) : input;
+  if (Array.isArray(value)) return value.map((molecule, index) => jsonMolecule(molecule, `[${index}].`));
+  if (value && Array.isArray(value.molecules)) {
+    return value.molecules.map((molecule, index) => jsonMolecule(molecule, `molecules[${index}].`));
+  }
+  if (value && value.molecule) return [jsonMolecule(value.molecule, 'molecule.')];
+  return [jsonMolecule(value, '')];
+}
+
+const READERS = {
+  sdf: parseSDF,
+  mol: text => [parseMolfile(text)],
+  xyz: parseXYZ,
+  pdb: parsePDB,
+  cml: parseCML,
+  json: parseMoleculeJSON
+};
+
+/**
+ * Guess the format of structure text from its first records; null when nothing matches.
+ */
+function detectFormat(text) {
+  const trimmed = String(text).trimStart();
+  if (/^[[{]/.test(trimmed)) return 'json';
+  if (trimmed.startsWith('<')) return 'cml';
+  if (/V[23]000\s*$|^M {2}END|^\$\$\$\$/m.test(text)) return 'sdf';
+  if (/^(HETATM|ATOM  |COMPND|HEADER|TITLE |MODEL |CRYST1|REMARK)/m.test(text)) return 'pdb';
+  if (/^\d+\s*$/.test(trimmed.split(/\r?\n/)[0])) return 'xyz';
+  return null;
+}
+
+/**
+ * Parse structure text (or, for json, an already-parsed object) into an array of molecules.
+ * Failures throw a PARSE_ERROR that names the line and field.
+ */
+function readMolecules(input, format) {
+  return READERS[format](input);
+}
+
+module.exports = {
+  FORMATS,
+  READ_FORMATS,
+  fromPubChemCompound,
+  toJSON,
+  writeXYZ,
+  writePDB,
+  writeMOL2,
+  writeMolfile,
+  writeSDF,
+  writeCML,
+  writeMolecule,
+  writeMolecules,
+  detectFormat,
+  readMolecules
+};
@@ -0,0 +1,168 @@
+// compare.js - Side-by-side comparison of compounds: aligned property rows, drug-likeness outcomes
+// and commentary on the largest differences
+// Differences and ratios are relative to the first compound, which acts as the reference.
+
+const { PROPERTY_CONTEXT, addEducationalContext } = require('./educational-context');
+const { DRUGLIKENESS_PROPERTIES, evaluateDruglikeness } = require('./druglikeness');
+
+// Numeric properties lined up row by row; Title and MolecularFormula are shown per compound instead
+const COMPARED_PROPERTIES = [
+  'MolecularWeight',
+  'XLogP',
+  'TPSA',
+  'HBondDonorCount',
+  'HBondAcceptorCount',
+  'RotatableBondCount',
+  'HeavyAtomCount',
+  'Complexity',
+  'Charge'
+];
+
+// Everything a comparison needs, fetched for all compounds in one property request
+const COMPARE_PROPERTIES = ['Title', ...new Set([...DRUGLIKENESS_PROPERTIES, ...COMPARED_PROPERTIES])];
+
+const COMMENTARY_LIMIT = 3;
+
+function number(value) {
+  return value === undefined || value === null || value === '' ? null : parseFloat(value);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function nameOf(compound) {
+  return compound.properties.Title || compound.identifier;
+}
+
+function joinNames(names, t) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} ${t('list.and')} ${names[names.length - 1]}`;
+}
+
+function compareRow(property, compounds, contexts) {
+  const definition = PROPERTY_CONTEXT[property];
+  const values = compounds.map(compound => number(compound.properties[property]));
+  const reference = values[0];
+  const known = values.filter(value => value !== null);
+
+  return {
+    property,
+    unit: definition.unit || null,
+    values,
+    differences: values.map(value => (value === null || reference === null ? null : round(value - reference))),
+    ratios: values.map(value => (value === null || reference === null || reference === 0 ? null : round(value / reference))),
+    bands: contexts.map(context => (context[definition.key] ? context[definition.key].band : null)),
+    spread: known.length > 1 ? round(Math.max(...known) - Math.min(...known)) : null
+  };
+}
+
+// Spread measured in widths of the typical band, plus a bonus when the compounds land in different bands
+function differenceScore(row) {
+  const [min, max] = PROPERTY_CONTEXT[row.property].typical;
+  const bandsDiffer = new Set(row.bands).size > 1;
+  return row.spread / Math.max(max - min, 1) + (bandsDiffer ? 1 : 0);
+}
+
+function describeDifference(row, compounds, contexts, t) {
+  const definition = PROPERTY_CONTEXT[row.property];
+  const highIndex = row.values.indexOf(Math.max(...row.values));
+  const lowIndex = row.values.indexOf(Math.min(...row.values));
+  const high = row.values[highIndex];
+  const low = row.values[lowIndex];
+  const ratio = low > 0 ? high / low : null;
+
+  const params = {
+    high: nameOf(compounds[highIndex]),
+    low: nameOf(compounds[lowIndex]),
+    property: t(`labels.${row.property}`),
+    highValue: compounds[highIndex].properties[row.property],
+    lowValue: compounds[lowIndex].properties[row.property],
+    unit: definition.unit,
+    ratio: ratio ? ratio.toFixed(1) : null
+  };
+
+  return {
+    property: row.property,
+    summary: t(ratio && ratio >= 1.5 ? 'compare.higher_ratio' : 'compare.higher', params),
+    explanations: compounds.map((compound, index) => ({
+      cid: compound.cid,
+      band: row.bands[index],
+      explanation: contexts[index][definition.key] ? contexts[index][definition.key].explanation : null
+    }))
+  };
+}
+
+function compareDruglikeness(compounds, t) {
+  const reports = compounds.map(compound => evaluateDruglikeness(compound.properties));
+  const rules = {};
+  const commentary = [];
+
+  Object.keys(reports[0].rules).forEach(key => {
+    const results = reports.map((report, index) => ({
+      cid: compounds[index].cid,
+      passed: report.rules[key].passed,
+      violations: report.rules[key].violations
+    }));
+    const agree = new Set(results.map(result => result.passed)).size === 1;
+    rules[key] = { name: reports[0].rules[key].name, agree, results };
+
+    const passing = compounds.filter((compound, index) => results[index].passed === true).map(nameOf);
+    const failing = compounds.filter((compound, index) => results[index].passed === false).map(nameOf);
+    if (passing.length > 0 && failing.length > 0) {
+      commentary.push({
+        rule: key,
+        summary: t('compare.rule_differs', { rule: rules[key].name, passing: joinNames(passing, t), failing: joinNames(failing, t) })
+      });
+    }
+  });
+
+  return {
+    rules,
+    summaries: reports.map((report, index) => ({ cid: compounds[index].cid, ...report.summary })),
+    commentary
+  };
+}
+
+/**
+ * Compare resolved compounds ({ identifier, cid, properties } with a PubChem property row each).
+ * Returns aligned property rows, per-rule drug-likeness outcomes and commentary on the
+ * COMMENTARY_LIMIT largest differences; texts come from the translator's catalog.
+ */
+function compareCompounds(compounds, t) {
+  const contexts = addEducationalContext(compounds.map(compound => compound.properties), t)
+    .map(row => row.educational_context);
+
+  const rows = COMPARED_PROPERTIES.map(property => compareRow(property, compounds, contexts));
+  const differences = rows
+    .filter(row => row.spread && row.values.every(value => value !== null))
+    .map(row => ({ row, score: differenceScore(row) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, COMMENTARY_LIMIT)
+    .map(({ row }) => describeDifference(row, compounds, contexts, t));
+
+  const druglikeness = compareDruglikeness(compounds, t);
+
+  return {
+    reference_cid: compounds[0].cid,
+    compounds: compounds.map((compound, index) => ({
+      identifier: compound.identifier,
+      cid: compound.cid,
+      title: compound.properties.Title || null,
+      molecular_formula: compound.properties.MolecularFormula || null,
+      educational_context: contexts[index]
+    })),
+    properties: rows,
+    druglikeness: { rules: druglikeness.rules, summaries: druglikeness.summaries },
+    commentary: {
+      differences,
+      druglikeness: druglikeness.commentary
+    }
+  };
+}
+
+module.exports = {
+  COMPARE_PROPERTIES,
+  COMPARED_PROPERTIES,
+  compareCompounds
+};
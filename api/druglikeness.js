@@ -0,0 +1,285 @@
+// druglikeness.js - Lipinski, Veber, Ghose and Egan filters with student-friendly explanations
+
+// Properties requested from PubChem for the evaluation
+const DRUGLIKENESS_PROPERTIES = [
+  'MolecularFormula',
+  'MolecularWeight',
+  'XLogP',
+  'HBondDonorCount',
+  'HBondAcceptorCount',
+  'TPSA',
+  'RotatableBondCount',
+  'HeavyAtomCount'
+];
+
+const PROPERTY_INFO = {
+  MolecularWeight: {
+    label: 'Molecular weight',
+    unit: 'Da',
+    about: 'Smaller molecules pass through the gut wall and cell membranes more easily.',
+    high: 'Large molecules diffuse slowly across membranes, so oral absorption tends to be poor.',
+    low: 'Very small molecules often lack enough functional groups to bind a target selectively.'
+  },
+  XLogP: {
+    label: 'XLogP (lipophilicity)',
+    unit: '',
+    about: 'XLogP balances water solubility against the ability to cross fatty cell membranes.',
+    high: 'Very lipophilic molecules dissolve poorly in water and tend to stick to proteins and fat tissue.',
+    low: 'Very polar molecules struggle to cross the lipid membranes of cells.'
+  },
+  HBondDonorCount: {
+    label: 'Hydrogen bond donors',
+    unit: '',
+    about: 'Each donor (OH, NH) must give up its bonds to water before the molecule can enter a membrane.',
+    high: 'Too many donors make it costly to leave water and enter a membrane, lowering absorption.'
+  },
+  HBondAcceptorCount: {
+    label: 'Hydrogen bond acceptors',
+    unit: '',
+    about: 'Acceptors (N, O) also bind water, which has to be stripped away to cross a membrane.',
+    high: 'Too many acceptors keep the molecule strongly solvated by water, lowering absorption.'
+  },
+  RotatableBondCount: {
+    label: 'Rotatable bonds',
+    unit: '',
+    about: 'Rotatable bonds measure flexibility; rigid molecules are usually absorbed better.',
+    high: 'Very flexible molecules lose a lot of entropy when they bind and are absorbed less well.'
+  },
+  TPSA: {
+    label: 'Topological polar surface area',
+    unit: 'Å²',
+    about: 'Polar surface area has to be shed from water to cross membranes.',
+    high: 'A large polar surface makes passive diffusion through membranes (and the gut wall) slow.'
+  },
+  AtomCount: {
+    label: 'Total atom count',
+    unit: '',
+    about: 'All atoms including hydrogens, counted from the molecular formula; a rough measure of size.',
+    high: 'Many atoms means a large molecule, which is rarely absorbed well.',
+    low: 'Very few atoms means a small, simple molecule that is unlikely to be a selective drug.'
+  },
+  MolarRefractivity: {
+    label: 'Molar refractivity',
+    unit: 'cm³/mol',
+    about: 'Molar refractivity reflects molecular volume and polarizability. It is estimated here from the formula, so treat values close to the limits with care.',
+    high: 'High molar refractivity means a bulky, highly polarizable molecule.',
+    low: 'Low molar refractivity means a very small molecule.'
+  }
+};
+
+const RULES = {
+  lipinski: {
+    name: "Lipinski's Rule of Five",
+    description: 'Predicts poor oral absorption when a compound breaks more than one of these limits.',
+    reference: 'Lipinski et al., Adv. Drug Deliv. Rev. 1997, 23, 3-25',
+    allowedViolations: 1,
+    criteria: [
+      { property: 'MolecularWeight', max: 500 },
+      { property: 'XLogP', max: 5 },
+      { property: 'HBondDonorCount', max: 5 },
+      { property: 'HBondAcceptorCount', max: 10 }
+    ]
+  },
+  veber: {
+    name: "Veber's rules",
+    description: 'Good oral bioavailability in rats was linked to low flexibility and low polar surface area.',
+    reference: 'Veber et al., J. Med. Chem. 2002, 45, 2615-2623',
+    allowedViolations: 0,
+    criteria: [
+      { property: 'RotatableBondCount', max: 10 },
+      { property: 'TPSA', max: 140 }
+    ]
+  },
+  ghose: {
+    name: 'Ghose filter',
+    description: 'Ranges that cover 80% of known drugs in the Comprehensive Medicinal Chemistry database.',
+    reference: 'Ghose et al., J. Comb. Chem. 1999, 1, 55-68',
+    allowedViolations: 0,
+    criteria: [
+      { property: 'MolecularWeight', min: 160, max: 480 },
+      { property: 'XLogP', min: -0.4, max: 5.6 },
+      { property: 'AtomCount', min: 20, max: 70 },
+      { property: 'MolarRefractivity', min: 40, max: 130 }
+    ]
+  },
+  egan: {
+    name: 'Egan (egg) filter',
+    description: 'Well-absorbed drugs fall inside an "egg" of polar surface area and lipophilicity.',
+    reference: 'Egan et al., J. Med. Chem. 2000, 43, 3867-3877',
+    allowedViolations: 0,
+    criteria: [
+      { property: 'TPSA', max: 131.6 },
+      { property: 'XLogP', max: 5.88 }
+    ]
+  }
+};
+
+// Atomic refractions (cm³/mol) and the increment per double bond or ring, after Eisenlohr/Vogel
+const ATOMIC_REFRACTIONS = {
+  C: 2.418, H: 1.100, O: 1.643, N: 2.5, S: 7.69, F: 0.95, Cl: 5.967, Br: 8.865, I: 13.9
+};
+const UNSATURATION_REFRACTION = 1.733;
+
+// Element counts from a formula such as C9H8O4, C2H3O2- or 2C2H3O2.Ca
+function parseFormula(formula) {
+  const counts = {};
+  String(formula || '').split('.').forEach(component => {
+    const match = /^(\d*)((?:[A-Z][a-z]?\d*)*)/.exec(component.trim());
+    const multiplier = match[1] ? parseInt(match[1], 10) : 1;
+    (match[2].match(/[A-Z][a-z]?\d*/g) || []).forEach(token => {
+      const element = /^[A-Z][a-z]?/.exec(token)[0];
+      const count = token.slice(element.length);
+      counts[element] = (counts[element] || 0) + multiplier * (count ? parseInt(count, 10) : 1);
+    });
+  });
+  return counts;
+}
+
+// Total atoms, hydrogens included
+function countAtoms(formula) {
+  const total = Object.values(parseFormula(formula)).reduce((sum, count) => sum + count, 0);
+  return total || null;
+}
+
+// PubChem has no molar refractivity, so estimate it from atomic refractions plus unsaturation
+// (rings count as unsaturation too, which slightly overestimates ring systems)
+function estimateMolarRefractivity(formula) {
+  const counts = parseFormula(formula);
+  const elements = Object.keys(counts);
+  if (elements.length === 0 || elements.some(element => ATOMIC_REFRACTIONS[element] === undefined)) {
+    return null;
+  }
+
+  const halogens = (counts.F || 0) + (counts.Cl || 0) + (counts.Br || 0) + (counts.I || 0);
+  const unsaturation = Math.max(0, (counts.C || 0) - ((counts.H || 0) + halogens) / 2 + (counts.N || 0) / 2 + 1);
+  const refraction = elements.reduce((sum, element) => sum + ATOMIC_REFRACTIONS[element] * counts[element], 0);
+
+  return Math.round((refraction + unsaturation * UNSATURATION_REFRACTION) * 100) / 100;
+}
+
+function formatValue(value, unit) {
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+function describeThreshold({ min, max }, unit) {
+  const suffix = unit ? ` ${unit}` : '';
+  if (min !== undefined && max !== undefined) return `${min} to ${max}${suffix}`;
+  if (max !== undefined) return `≤ ${max}${suffix}`;
+  return `≥ ${min}${suffix}`;
+}
+
+function evaluateCriterion(criterion, values) {
+  const info = PROPERTY_INFO[criterion.property];
+  const value = values[criterion.property];
+  const threshold = describeThreshold(criterion, info.unit);
+  const base = {
+    property: criterion.property,
+    label: info.label,
+    value,
+    threshold,
+    min: criterion.min !== undefined ? criterion.min : null,
+    max: criterion.max !== undefined ? criterion.max : null
+  };
+
+  if (value === null || value === undefined) {
+    return {
+      ...base,
+      value: null,
+      passed: null,
+      explanation: `PubChem does not report ${info.label.toLowerCase()} for this compound, so this criterion could not be checked. ${info.about}`
+    };
+  }
+
+  const tooLow = criterion.min !== undefined && value < criterion.min;
+  const tooHigh = criterion.max !== undefined && value > criterion.max;
+
+  if (!tooLow && !tooHigh) {
+    return {
+      ...base,
+      passed: true,
+      explanation: `${info.label} of ${formatValue(value, info.unit)} is within the ${threshold} limit. ${info.about}`
+    };
+  }
+
+  return {
+    ...base,
+    passed: false,
+    explanation: `${info.label} of ${formatValue(value, info.unit)} is ${tooHigh ? 'above' : 'below'} the ${threshold} limit. ${tooHigh ? info.high : info.low}`
+  };
+}
+
+function evaluateRule(rule, values) {
+  const criteria = rule.criteria.map(criterion => evaluateCriterion(criterion, values));
+  const violations = criteria.filter(criterion => criterion.passed === false).length;
+  const unchecked = criteria.filter(criterion => criterion.passed === null).length;
+
+  // Missing values only matter when they could push the count past the allowance
+  let passed = true;
+  let summary = `Passes ${rule.name} (${violations} violation${violations === 1 ? '' : 's'}, ${rule.allowedViolations} allowed).`;
+  if (violations > rule.allowedViolations) {
+    passed = false;
+    summary = `Fails ${rule.name}: ${violations} violations where at most ${rule.allowedViolations} ${rule.allowedViolations === 1 ? 'is' : 'are'} allowed.`;
+  } else if (violations + unchecked > rule.allowedViolations) {
+    passed = null;
+    summary = `${rule.name} could not be fully evaluated: ${unchecked} criterion value${unchecked === 1 ? ' is' : 's are'} missing.`;
+  }
+
+  return {
+    name: rule.name,
+    description: rule.description,
+    passed,
+    violations,
+    allowed_violations: rule.allowedViolations,
+    summary,
+    criteria,
+    reference: rule.reference
+  };
+}
+
+/**
+ * Evaluate all filters for one PubChem property row (MolecularWeight may arrive as a string).
+ * passed is null when missing values leave a rule undecided.
+ */
+function evaluateDruglikeness(properties) {
+  const number = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+  const values = {
+    MolecularWeight: number(properties.MolecularWeight),
+    XLogP: number(properties.XLogP),
+    HBondDonorCount: number(properties.HBondDonorCount),
+    HBondAcceptorCount: number(properties.HBondAcceptorCount),
+    TPSA: number(properties.TPSA),
+    RotatableBondCount: number(properties.RotatableBondCount),
+    AtomCount: countAtoms(properties.MolecularFormula),
+    MolarRefractivity: estimateMolarRefractivity(properties.MolecularFormula)
+  };
+
+  const rules = {};
+  Object.entries(RULES).forEach(([key, rule]) => {
+    rules[key] = evaluateRule(rule, values);
+  });
+
+  const ruleList = Object.values(rules);
+  return {
+    properties: {
+      MolecularFormula: properties.MolecularFormula || null,
+      HeavyAtomCount: number(properties.HeavyAtomCount),
+      ...values
+    },
+    rules,
+    summary: {
+      passed: ruleList.filter(rule => rule.passed === true).map(rule => rule.name),
+      failed: ruleList.filter(rule => rule.passed === false).map(rule => rule.name),
+      inconclusive: ruleList.filter(rule => rule.passed === null).map(rule => rule.name)
+    },
+    educational_note: 'These filters are rules of thumb for oral drugs. Many successful drugs (antibiotics, natural products, biologics) break them, and passing them does not make a compound a drug.'
+  };
+}
+
+module.exports = {
+  DRUGLIKENESS_PROPERTIES,
+  RULES,
+  parseFormula,
+  countAtoms,
+  estimateMolarRefractivity,
+  evaluateDruglikeness
+};
@@ -0,0 +1,135 @@
+// educational-context.js - Interprets PubChem property values for students
+// Each property has a typical range; values below or above it get their own explanation.
+// The texts live in the message catalogs under context.<Property>.low|within|high.
+
+const { parseFormula } = require('./druglikeness');
+const { createTranslator } = require('./i18n');
+
+// typical: [min, max] of the typical band; catalog texts may use {value}, {min}, {max} and {unit}
+const PROPERTY_CONTEXT = {
+  MolecularWeight: { key: 'molecular_weight_info', unit: 'Da', typical: [150, 500] },
+  ExactMass: { key: 'exact_mass_info', unit: 'Da', typical: [150, 500] },
+  MonoisotopicMass: { key: 'monoisotopic_mass_info', unit: 'Da', typical: [150, 500] },
+  XLogP: { key: 'xlogp_info', unit: '', typical: [1, 3] },
+  TPSA: { key: 'tpsa_info', unit: 'Å²', typical: [20, 140] },
+  HBondDonorCount: { key: 'hbond_donor_info', unit: '', typical: [1, 5] },
+  HBondAcceptorCount: { key: 'hbond_acceptor_info', unit: '', typical: [1, 10] },
+  RotatableBondCount: { key: 'rotatable_bond_info', unit: '', typical: [3, 10] },
+  EffectiveRotorCount3D: { key: 'effective_rotor_info', unit: '', typical: [3, 10] },
+  HeavyAtomCount: { key: 'heavy_atom_info', unit: '', typical: [10, 50] },
+  Complexity: { key: 'complexity_info', unit: '', typical: [100, 500] },
+  Charge: { key: 'charge_info', unit: '', typical: [0, 0] },
+  IsotopeAtomCount: { key: 'isotope_atom_info', unit: '', typical: [0, 0] },
+  AtomStereoCount: { key: 'atom_stereo_info', unit: '', typical: [1, 3] },
+  DefinedAtomStereoCount: { key: 'defined_atom_stereo_info', unit: '', typical: [1, 3] },
+  UndefinedAtomStereoCount: { key: 'undefined_atom_stereo_info', unit: '', typical: [0, 0] },
+  BondStereoCount: { key: 'bond_stereo_info', unit: '', typical: [0, 0] },
+  DefinedBondStereoCount: { key: 'defined_bond_stereo_info', unit: '', typical: [0, 0] },
+  UndefinedBondStereoCount: { key: 'undefined_bond_stereo_info', unit: '', typical: [0, 0] },
+  CovalentUnitCount: { key: 'covalent_unit_info', unit: '', typical: [1, 1] },
+  Volume3D: { key: 'volume_3d_info', unit: 'Å³', typical: [150, 500] },
+  LiteratureCount: { key: 'literature_info', unit: '', typical: [10, 1000] },
+  PatentCount: { key: 'patent_info', unit: '', typical: [10, 1000] },
+  PatentFamilyCount: { key: 'patent_family_info', unit: '', typical: [10, 1000] }
+};
+
+// The formula is banded by its heavy (non-hydrogen) atoms
+const FORMULA_CONTEXT = { key: 'molecular_formula_info', typical: [10, 50] };
+
+const defaultTranslator = createTranslator();
+
+function bandFor(value, [min, max]) {
+  if (value < min) return 'low';
+  if (value > max) return 'high';
+  return 'typical';
+}
+
+function bandMessage(band) {
+  return band === 'typical' ? 'within' : band;
+}
+
+function describeValue(property, definition, rawValue, t) {
+  const value = typeof rawValue === 'number' ? rawValue : parseFloat(rawValue);
+  if (Number.isNaN(value)) return null;
+
+  const band = bandFor(value, definition.typical);
+  const [min, max] = definition.typical;
+
+  return {
+    value,
+    band,
+    typical_range: { min, max, unit: definition.unit || null },
+    explanation: t(`context.${property}.${bandMessage(band)}`, { value: rawValue, min, max, unit: definition.unit })
+  };
+}
+
+function listElements(counts, t) {
+  const parts = Object.entries(counts).map(([element, count]) => {
+    const name = t(`elements.${element}`);
+    return `${count} ${name === `elements.${element}` ? element : name}`;
+  });
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} ${t('list.and')} ${parts[parts.length - 1]}`;
+}
+
+function describeFormula(formula, t) {
+  const counts = parseFormula(formula);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  const heavyAtoms = total - (counts.H || 0);
+  const band = bandFor(heavyAtoms, FORMULA_CONTEXT.typical);
+  const [min, max] = FORMULA_CONTEXT.typical;
+  const sentences = [
+    t('context.MolecularFormula.summary', { formula, total, elements: listElements(counts, t) }),
+    t(`context.MolecularFormula.${bandMessage(band)}`, { min, max })
+  ];
+  if (!counts.C) {
+    sentences.push(t('context.MolecularFormula.inorganic'));
+  }
+  if (formula.includes('.')) {
+    sentences.push(t('context.MolecularFormula.components'));
+  }
+
+  return {
+    value: formula,
+    band,
+    typical_range: { min, max, unit: 'heavy atoms' },
+    explanation: sentences.join(' ')
+  };
+}
+
+/**
+ * Add an educational_context object to each PubChem property row, keyed like "xlogp_info".
+ * Every entry interprets the actual value: { value, band: low|typical|high, typical_range, explanation }.
+ * Pass a translator from i18n.createTranslator for other languages or levels; English undergrad by default.
+ */
+function addEducationalContext(properties, t = defaultTranslator) {
+  if (!properties || !Array.isArray(properties)) return null;
+
+  return properties.map(prop => {
+    const context = {};
+
+    if (prop.MolecularFormula) {
+      const formulaContext = describeFormula(prop.MolecularFormula, t);
+      if (formulaContext) {
+        context[FORMULA_CONTEXT.key] = formulaContext;
+      }
+    }
+
+    Object.entries(PROPERTY_CONTEXT).forEach(([property, definition]) => {
+      if (prop[property] === undefined || prop[property] === null) return;
+      const described = describeValue(property, definition, prop[property], t);
+      if (described) {
+        context[definition.key] = described;
+      }
+    });
+
+    return { ...prop, educational_context: context };
+  });
+}
+
+module.exports = {
+  PROPERTY_CONTEXT,
+  addEducationalContext
+};
@@ -0,0 +1,67 @@
+// http-cache.js - ETag, Last-Modified and Cache-Control handling for data endpoints
+
+const crypto = require('crypto');
+
+// Per-route policies; s-maxage and stale-while-revalidate let Vercel's edge absorb repeat traffic
+const CACHE_POLICIES = {
+  pubchem: { maxAge: 3600, sMaxAge: 86400, staleWhileRevalidate: 604800 },
+  pugview: { maxAge: 3600, sMaxAge: 86400, staleWhileRevalidate: 604800 },
+  educational: { maxAge: 1800, sMaxAge: 86400, staleWhileRevalidate: 604800 },
+  autocomplete: { maxAge: 300, sMaxAge: 3600, staleWhileRevalidate: 86400 },
+  // Stale fallbacks are only cached briefly so fresh data replaces them once PubChem recovers
+  stale: { maxAge: 60, sMaxAge: 60, staleWhileRevalidate: 300 }
+};
+
+function buildCacheControl(policyName) {
+  const policy = CACHE_POLICIES[policyName];
+  if (!policy) return 'no-cache';
+
+  return [
+    'public',
+    `max-age=${policy.maxAge}`,
+    `s-maxage=${policy.sMaxAge}`,
+    `stale-while-revalidate=${policy.staleWhileRevalidate}`
+  ].join(', ');
+}
+
+// Strong validator: identical bytes always produce the identical tag
+function computeETag(body) {
+  const hash = crypto.createHash('sha1').update(body).digest('base64').replace(/=+$/, '');
+  return `"${body.length.toString(16)}-${hash}"`;
+}
+
+function setCacheHeaders(res, policyName, lastModified) {
+  res.set('Cache-Control', buildCacheControl(policyName));
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+}
+
+// Send a payload with validators, answering If-None-Match/If-Modified-Since with 304
+function sendCached(req, res, payload, { policy, lastModified } = {}) {
+  let body = payload;
+  if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+    body = JSON.stringify(payload);
+    if (!res.get('Content-Type')) {
+      res.type('json');
+    }
+  }
+
+  setCacheHeaders(res, policy, lastModified);
+  res.set('ETag', computeETag(Buffer.isBuffer(body) ? body : Buffer.from(body)));
+
+  // req.fresh compares the request validators against the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  return res.send(body);
+}
+
+module.exports = {
+  CACHE_POLICIES,
+  buildCacheControl,
+  computeETag,
+  setCacheHeaders,
+  sendCached
+};
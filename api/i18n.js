@@ -0,0 +1,106 @@
+// i18n.js - Message catalogs for educational text, selected by ?lang= / Accept-Language and ?level=
+// Lookups fall back from the requested level to undergrad, then from the requested language to English.
+
+const { EDUCATION_LEVELS, validateLevel } = require('./pubchem-validator');
+
+const CATALOGS = {
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json'),
+  fr: require('./locales/fr.json')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_LEVEL = 'undergrad';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+}
+
+// "es-MX,es;q=0.9,en;q=0.5" -> first supported primary tag by quality, or null
+function parseAcceptLanguage(header) {
+  if (!header) return null;
+
+  const ranked = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { language: tag.trim().toLowerCase().split('-')[0], quality: quality ? parseFloat(quality[1]) : 1, index };
+    })
+    .filter(entry => entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = ranked.find(entry => SUPPORTED_LANGUAGES.includes(entry.language));
+  return match ? match.language : null;
+}
+
+/**
+ * Pick language and level for a request. ?lang= wins over Accept-Language;
+ * unsupported languages fall back to English, unknown levels are rejected.
+ */
+function resolveLocale(req) {
+  const level = req.query.level || DEFAULT_LEVEL;
+  validateLevel(level);
+
+  let language = null;
+  if (req.query.lang) {
+    const requested = String(req.query.lang).toLowerCase().split('-')[0];
+    language = SUPPORTED_LANGUAGES.includes(requested) ? requested : null;
+  } else {
+    language = parseAcceptLanguage(req.get('Accept-Language'));
+  }
+
+  return { language: language || DEFAULT_LANGUAGE, level };
+}
+
+function isDefaultLocale(locale) {
+  return locale.language === DEFAULT_LANGUAGE && locale.level === DEFAULT_LEVEL;
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match))
+    .replace(/\s+([.,)])/g, '$1')
+    .replace(/ {2,}/g, ' ');
+}
+
+/**
+ * Translator bound to a locale: t('context.XLogP.high', { value: 4.8 }).
+ * Strings are interpolated; arrays and objects (suggestion lists, heading labels) are returned as stored.
+ */
+function createTranslator({ language = DEFAULT_LANGUAGE, level = DEFAULT_LEVEL } = {}) {
+  const languages = language === DEFAULT_LANGUAGE ? [language] : [language, DEFAULT_LANGUAGE];
+  const levels = level === DEFAULT_LEVEL ? [] : [level];
+
+  const t = (key, params = {}) => {
+    for (const lang of languages) {
+      for (const candidate of [...levels.map(name => `levels.${name}.${key}`), key]) {
+        const message = lookup(CATALOGS[lang], candidate);
+        if (message !== undefined) {
+          return typeof message === 'string' ? interpolate(message, params) : message;
+        }
+      }
+    }
+    return key;
+  };
+  t.language = language;
+  t.level = level;
+  return t;
+}
+
+// Content-Language and Vary so shared caches keep one copy per language
+function setLocaleHeaders(res, locale) {
+  res.set('Content-Language', locale.language);
+  res.vary('Accept-Language');
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  EDUCATION_LEVELS,
+  DEFAULT_LANGUAGE,
+  DEFAULT_LEVEL,
+  parseAcceptLanguage,
+  resolveLocale,
+  isDefaultLocale,
+  createTranslator,
+  setLocaleHeaders
+};
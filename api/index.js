@@ -3,16 +3,64 @@
 
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 const rateLimit = require('express-rate-limit');
-const NodeCache = require('node-cache');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
+const { PassThrough } = require('stream');
+const pubchemClient = require('./pubchem-client');
+const SingleFlight = require('./single-flight');
+const { createCache } = require('./cache-store');
+const { sendCached, setCacheHeaders } = require('./http-cache');
+const ListKeyJobs = require('./listkey-jobs');
+const {
+  EDUCATIONAL_PARTS,
+  validateProxyPath,
+  validatePostBody,
+  validateIdentifierType,
+  validateEducationalParts,
+  validateFields,
+  validateBatchItems,
+  validateCompareIds,
+  validateCasNumber,
+  validateResolveQuery,
+  validateSynonymGroups,
+  validateFormat,
+  validateConvertSource,
+  validateStructureCount,
+  detectIdentifierType,
+  validateCid,
+  validateLimit
+} = require('./pubchem-validator');
+const { mergeRecords, extractSafetyData, extractPharmacologyData, extractPropertiesData } = require('./pugview-sections');
+const { DRUGLIKENESS_PROPERTIES, evaluateDruglikeness } = require('./druglikeness');
+const { addEducationalContext } = require('./educational-context');
+const { COMPARE_PROPERTIES, compareCompounds } = require('./compare');
+const { classifySynonyms, selectSynonymGroups } = require('./synonyms');
+const {
+  FORMATS,
+  READ_FORMATS,
+  fromPubChemCompound,
+  writeMolecule,
+  writeMolecules,
+  detectFormat,
+  readMolecules
+} = require('./chem-formats');
+const { resolveLocale, isDefaultLocale, createTranslator, setLocaleHeaders } = require('./i18n');
 const app = express();
 const port = process.env.PORT || 3001;
-// Initialize caches
-const cache = new NodeCache({ stdTTL: 86400 });
-const autocompleteCache = new NodeCache({ stdTTL: 3600 });
+// Initialize caches (backend chosen by CACHE_BACKEND: memory, file or redis)
+// Expired compound data is kept for a grace period so it can be served if PubChem fails
+const cache = createCache({
+  namespace: 'data',
+  stdTTL: 86400,
+  staleTTL: parseInt(process.env.CACHE_STALE_GRACE, 10) || 86400
+});
+const autocompleteCache = createCache({ namespace: 'autocomplete', stdTTL: 3600 });
+// Identical cache misses that arrive together share one upstream call
+const inflight = new SingleFlight();
+// Asynchronous PubChem searches (ListKey) that clients can poll through /api/jobs
+const listKeyJobs = new ListKeyJobs({ client: pubchemClient, cache });
 
 // 📊 NEW: Initialize Analytics Database System
 let analyticsDB;
@@ -53,7 +101,9 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// Structure inputs (SMILES, InChI, SDF) can be large when POSTed to the proxy
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: false, limit: '1mb' }));
 
 // Static file serving
 app.use('/public', express.static(path.join(__dirname, '..', 'public')));
@@ -69,18 +119,14 @@ const analyticsMiddleware = (req, res, next) => {
 
   const startTime = Date.now();
 
-  // Track the request when response finishes
-  const originalSend = res.send;
-  res.send = function (data) {
+  // Track the request when response finishes (covers res.send and streamed bodies alike)
+  res.on('finish', () => {
     const responseTime = Date.now() - startTime;
 
     // Track the request (async, don't block response)
     analyticsDB.trackRequest(req, res, responseTime)
       .catch(error => console.error('❌ Analytics tracking error:', error));
-
-    // Call original send
-    return originalSend.call(this, data);
-  };
+  });
 
   next();
 };
@@ -103,6 +149,10 @@ const limiter = rateLimit({
 app.use('/api/pubchem', limiter);
 app.use('/api/pugview', limiter);
 app.use('/api/autocomplete', limiter);
+app.use('/api/jobs', limiter);
+app.use('/api/compare', limiter);
+app.use('/api/resolve', limiter);
+app.use('/api/convert', limiter);
 
 
 // These routes will now serve the updated index.html - no changes needed
@@ -446,6 +496,11 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     base_url: 'https://molexa-api.vercel.app',
     cache_stats: cache.getStats(),
+    autocomplete_cache_stats: autocompleteCache.getStats(),
+    upstream: pubchemClient.getStats(),
+    upstream_throttle: pubchemClient.getThrottleState(),
+    circuit_breaker: pubchemClient.getBreakerState(),
+    coalescing: inflight.getStats(),
     analytics: {
       ...analyticsStatus,
       database_connected: !!(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY),
@@ -457,7 +512,31 @@ app.get('/api/health', (req, res) => {
       'Autocomplete suggestions',
       'Enhanced educational endpoints',
       'Selective analytics tracking',
-      'Database-backed analytics storage'
+      'Database-backed analytics storage',
+      'Shared PubChem rate budget with retries and backoff',
+      'Adaptive throttling from PubChem load status',
+      'Coalescing of identical in-flight requests',
+      'Pluggable persistent cache (memory, file, Redis)',
+      'Binary-safe proxying of PNG, SDF and other formats',
+      'HTTP conditional requests (ETag, Last-Modified) and Cache-Control',
+      'Serve-stale-on-error with background revalidation',
+      'Circuit breaker for PubChem outages',
+      'Asynchronous ListKey searches (blocking or pollable jobs)',
+      'POST passthrough for SMILES/InChI/SDF inputs',
+      'PUG REST path and parameter validation',
+      'Structured GHS safety data (pictograms, H/P statements, NFPA, exposure limits, first aid)',
+      'Structured pharmacology (mechanism, ATC hierarchy, uses, ADME, interactions, MeSH classes)',
+      'Unit-normalized experimental properties (melting/boiling point, density, vapor pressure, solubility)',
+      'Drug-likeness filters (Lipinski, Veber, Ghose, Egan)',
+      'Value-aware educational context with low/typical/high bands',
+      'Audience levels (intro, undergrad, advanced) and localized educational text (en, es, fr)',
+      'Educational part selection (include=, fields=) with parallel fetching and per-part status',
+      'Batch educational lookup with multi-CID requests and NDJSON streaming',
+      'Compound comparison with aligned properties, drug-likeness outcomes and commentary',
+      'Identifier resolution with ranked candidates and multiple-match responses (names, SMILES, InChI, InChIKey, formulas, CAS numbers)',
+      'Classified synonyms (IUPAC, common, brand, CAS, EC, UNII, other IDs) with the CAS number as its own field',
+      '3D structures as viewer-ready atom/bond JSON or XYZ, PDB, MOL2, MOL, SDF and CML files',
+      'Offline structure conversion between SDF/MOL (V2000 and V3000), XYZ, PDB, CML and atom/bond JSON with line-level parse errors'
     ]
   });
 });
@@ -480,9 +559,17 @@ app.get('/api/json/docs', (req, res) => {
       analytics_stream: 'GET /api/analytics/stream - Real-time SSE stream',
       analytics_archive: 'POST /api/analytics/archive/{month} - Archive monthly data (admin)',
       dashboard: 'GET /api/dashboard - Live analytics dashboard',
-      pubchem: 'GET /api/pubchem/* - Proxy PubChem REST API calls',
-      educational: 'GET /api/pubchem/compound/{id}/educational - Comprehensive educational data',
-      pugview: 'GET /api/pugview/compound/{cid}/{section} - Educational annotations',
+      pubchem: 'GET /api/pubchem/* - Proxy PubChem REST API calls (?async=wait|job&max_wait=20 for ListKey searches)',
+      pubchem_post: 'POST /api/pubchem/* - Proxy with structure input in a form or JSON body (smiles, inchi, sdf)',
+      jobs: 'GET /api/jobs/{jobId} - Poll an asynchronous PubChem search',
+      educational: 'GET /api/pubchem/compound/{id}/educational - Comprehensive educational data; 300 with candidates when the identifier is ambiguous (?match=first, ?include=properties,synonyms,structure_3d,images,context, ?fields=, ?synonym_groups=iupac,common,brand,cas,ec,unii,other, ?level=intro|undergrad|advanced, ?lang=en|es|fr or Accept-Language)',
+      educational_batch: 'POST /api/pubchem/compound/educational/batch - Educational data for up to 100 mixed identifiers (?stream=ndjson for one line per result)',
+      structure3d: 'GET /api/pubchem/compound/{cid}/structure3d - 3D conformer as atom/bond JSON (?format=json|xyz|pdb|mol2|mol|sdf|cml)',
+      convert: 'POST /api/convert - Convert SDF/MOL (V2000/V3000), XYZ, PDB, CML or atom/bond JSON to any of those or MOL2, offline ({input, from, to}, {molecule, to} or {cid, to}; raw text bodies with ?from=&to=)',
+      druglikeness: 'GET /api/pubchem/compound/{id}/druglikeness - Lipinski, Veber, Ghose and Egan rule checks with explanations',
+      resolve: 'GET /api/resolve?q={identifier}&type=auto - Ranked candidate compounds with title, formula and thumbnail (type: auto, name, smiles, inchi, inchikey, formula, cas, cid)',
+      compare: 'GET /api/compare?ids={id},{id}&type={type} - Compare 2-10 compounds: aligned properties, differences, ratios, drug-likeness and commentary',
+      pugview: 'GET /api/pugview/compound/{cid}/{section} - Educational annotations (safety, pharmacology and properties return structured data; ?raw=true for the PUG-View tree)',
       autocomplete: 'GET /api/autocomplete/{query} - Chemical name suggestions',
       headings: 'GET /api/pugview/headings/{topic} - Available educational headings'
     },
@@ -492,7 +579,12 @@ app.get('/api/json/docs', (req, res) => {
       get_sdf: '/api/pubchem/compound/cid/2244/SDF',
       get_image: '/api/pubchem/compound/cid/2244/PNG',
       educational_data: '/api/pubchem/compound/caffeine/educational?type=name',
-      safety_info: '/api/pugview/compound/2244/safety?heading=Toxicity',
+      safety_info: '/api/pugview/compound/2244/safety',
+      druglikeness: '/api/pubchem/compound/aspirin/druglikeness?type=name',
+      structure3d: '/api/pubchem/compound/2244/structure3d?format=pdb',
+      compare: '/api/compare?ids=aspirin,ibuprofen,caffeine&type=name',
+      resolve: '/api/resolve?q=C2H6O',
+      convert: 'POST /api/convert {"cid": 2244, "record_type": "3d", "to": "pdb"}',
       autocomplete: '/api/autocomplete/caffe?limit=5'
     },
     features: [
@@ -509,143 +601,100 @@ app.get('/api/json/docs', (req, res) => {
 // 🔧 FIXED: Updated to properly handle fastformula endpoint
 // Fixed educational endpoint - resolves encodedIdentifier scope issue
 app.get('/api/pubchem/compound/:identifier/educational', async (req, res) => {
+  let cachedEntry;
+  let locale;
+  let view;
   try {
     const { identifier } = req.params;
     const identifierType = req.query.type || 'cid';
+    validateIdentifierType(identifierType);
+    if (identifierType === 'cid') {
+      validateCid(identifier, 'identifier');
+    }
+    locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    const fields = req.query.fields ? validateFields(req.query.fields) : null;
+    const synonymGroups = req.query.synonym_groups ? validateSynonymGroups(req.query.synonym_groups) : null;
+    view = { fields, synonymGroups };
+    const parts = selectEducationalParts(req.query.include, fields);
+
+    const cacheKey = `educational:${identifierType}:${identifier}:${parts.join(',')}`;
+    const loadEducationalData = async () => {
+      const data = await buildEducationalData(identifier, identifierType, parts);
+      // Transient part failures are not cached so the next request tries again
+      if (data && !Object.values(data.parts).some(part => part.status === 'failed')) {
+        await cache.set(cacheKey, data);
+      }
+      return data;
+    };
+
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
 
-    const cacheKey = `educational:${identifierType}:${identifier}`;
-    const cachedData = cache.get(cacheKey);
+    // Ambiguous names and formulas get the candidates instead of a silent first pick
+    if (identifierType !== 'cid' && req.query.match !== 'first') {
+      const candidateList = await getCandidateList(identifier, identifierType);
+      if (candidateList && candidateList.total_matches > 1) {
+        return sendMultipleMatches(res, candidateList);
+      }
+    }
 
-    if (cachedData) {
+    if (cachedEntry && !cachedEntry.stale) {
       console.log(`📦 Cache hit for educational data: ${identifier}`);
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadEducationalData);
+      }
       res.set('X-Cache', 'HIT');
-      return res.json(cachedData);
+      return sendCached(req, res, presentEducationalData(cachedEntry.value, locale, view), { policy: 'educational', lastModified: cachedEntry.storedAt });
     }
 
     console.log(`🎓 Fetching educational data for: ${identifier} (type: ${identifierType})`);
 
-    let cid = identifier;
-    let encodedIdentifier = identifier; // 🔧 FIX: Declare outside the if block
-
-    if (identifierType !== 'cid') {
-      encodedIdentifier = encodeURIComponent(identifier.toLowerCase().trim());
-      console.log(`🔍 Searching for CID using ${identifierType}: ${encodedIdentifier}`);
+    const educationalData = await inflight.do(cacheKey, loadEducationalData);
 
-      // Use the identifierType directly - fastformula is already the correct endpoint
-      let pubchemSearchType = identifierType;
-      console.log(`🌐 Using PubChem endpoint: compound/${pubchemSearchType}/${encodedIdentifier}/cids/JSON`);
-
-      const cidResponse = await fetchFromPubChem(`compound/${pubchemSearchType}/${encodedIdentifier}/cids/JSON`);
-      if (cidResponse.IdentifierList && cidResponse.IdentifierList.CID) {
-        cid = cidResponse.IdentifierList.CID[0];
-        console.log(`✅ Found CID: ${cid} for ${identifier} using ${pubchemSearchType}`);
-      } else {
-        return res.status(404).json({
-          error: 'Compound not found',
-          message: `No compound found for "${identifier}" using ${identifierType} search`,
-          suggestions: [
-            'Check the spelling of the compound name',
-            'Try alternative names (e.g., "acetylsalicylic acid" for aspirin)',
-            'Use a different identifier type (name, fastformula, smiles)',
-            'For formulas, ensure proper capitalization (e.g., C2H6O not c2h6o)',
-            'Search on PubChem website first to verify the compound exists'
-          ]
-        });
-      }
+    if (!educationalData) {
+      return res.status(404).json({
+        error: 'Compound not found',
+        message: `No compound found for "${identifier}" using ${identifierType} search`,
+        suggestions: createTranslator(locale)('suggestions.compound_not_found')
+      });
     }
 
-    // Fetch comprehensive properties
-    const properties = [
-      'MolecularWeight',
-      'HBondDonorCount',
-      'HBondAcceptorCount',
-      'HeavyAtomCount',
-      'XLogP',
-      'TPSA'
-    ].join(',');
-
-    console.log(`🧪 Fetching properties for CID: ${cid}`);
-    const basicData = await fetchFromPubChem(`compound/cid/${cid}/property/${properties}/JSON`);
-
-    console.log(`📚 Fetching synonyms for CID: ${cid}`);
-    const synonymsData = await fetchFromPubChem(`compound/cid/${cid}/synonyms/JSON`);
+    res.set('X-Cache', 'MISS');
+    sendCached(req, res, presentEducationalData(educationalData, locale, view), { policy: 'educational', lastModified: Date.now() });
 
-    let conformerData = null;
-    try {
-      console.log(`🔬 Fetching 3D conformer data for CID: ${cid}`);
-      conformerData = await fetchFromPubChem(`compound/cid/${cid}/conformers/JSON?conformers_type=3d`);
-    } catch (e) {
-      console.log(`ℹ️  No 3D conformer data available for CID ${cid}`);
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
     }
 
-    // Compile educational data
-    const educationalData = {
-      cid: parseInt(cid),
-      search_info: {
-        original_identifier: identifier,
-        identifier_type: identifierType,
-        found_via: identifierType !== 'cid' ? `${identifierType} search` : 'direct CID',
-        search_successful: true,
-        pubchem_endpoint_used: identifierType !== 'cid' ? `compound/${identifierType}/${encodedIdentifier}/cids/JSON` : 'direct CID'
-      },
-      basic_properties: basicData.PropertyTable?.Properties?.[0] || {},
-      synonyms: synonymsData.InformationList?.Information?.[0]?.Synonym?.slice(0, 10) || [],
-      structure_3d: conformerData?.PC_Compounds?.[0] || null,
-      image_urls: {
-        '2d_structure': `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/PNG`,
-        '3d_ball_stick': `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/PNG?record_type=3d`,
-        'large_2d': `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/PNG?image_size=large`
-      },
-      urls: {
-        pubchem_page: `https://pubchem.ncbi.nlm.nih.gov/compound/${cid}`,
-        sdf_download: `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/SDF`,
-        mol_download: `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/record/SDF/?record_type=3d&response_type=save&response_basename=compound_${cid}`
-      },
-      educational_sections: [
-        'Chemical and Physical Properties',
-        'Safety and Hazards',
-        'Pharmacology and Biochemistry',
-        'Use and Manufacturing',
-        'Environmental Fate',
-        'Literature References'
-      ]
-    };
+    console.error('❌ Educational data error:', error);
 
-    if (educationalData.basic_properties) {
-      educationalData.educational_context = addEducationalContext([educationalData.basic_properties]);
+    if (cachedEntry && isUpstreamFailure(error)) {
+      return sendStale(req, res, cachedEntry, presentEducationalData(cachedEntry.value, locale, view));
     }
 
-    cache.set(cacheKey, educationalData);
+    const t = createTranslator(locale);
 
-    res.set('X-Cache', 'MISS');
-    res.json(educationalData);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
 
-  } catch (error) {
-    console.error('❌ Educational data error:', error);
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
 
     if (error.message.includes('PubChem API error: 400')) {
       res.status(400).json({
         error: 'Invalid compound search',
         message: `PubChem could not find compound "${req.params.identifier}" using ${req.query.type || 'cid'} search`,
-        suggestions: [
-          'Verify the compound name spelling',
-          'Try searching on PubChem website first',
-          'Use alternative compound names or identifiers',
-          'For molecular formulas, ensure proper case (C2H6O not c2h6o)',
-          'Check if the compound exists in PubChem database'
-        ],
+        suggestions: t('suggestions.invalid_search'),
         pubchem_error: error.message
       });
     } else if (error.message.includes('PubChem API error: 404')) {
       res.status(404).json({
         error: 'Compound not found',
         message: `Compound "${req.params.identifier}" not found in PubChem`,
-        suggestions: [
-          'Check spelling and try alternative names',
-          'Use chemical identifiers like SMILES or InChI',
-          'For formulas, try the fastformula search endpoint',
-          'Search PubChem website to verify compound exists'
-        ]
+        suggestions: t('suggestions.pubchem_not_found')
       });
     } else {
       res.status(500).json({
@@ -657,381 +706,1915 @@ app.get('/api/pubchem/compound/:identifier/educational', async (req, res) => {
   }
 });
 
-// PUG-View endpoint for detailed educational annotations
-app.get('/api/pugview/compound/:cid/:section?', async (req, res) => {
+// 3D conformer converted from PubChem's parallel arrays into atoms and bonds. The parsed molecule is
+// cached once per CID and written out per request in the ?format= the viewer asks for.
+app.get('/api/pubchem/compound/:cid/structure3d', async (req, res) => {
+  let cachedEntry;
+  let render;
   try {
-    const { cid, section } = req.params;
-    const heading = req.query.heading;
+    const { cid } = req.params;
+    validateCid(cid);
+    const format = validateFormat(req.query.format || 'json', Object.keys(FORMATS));
+
+    render = molecule => {
+      const output = writeMolecule(molecule, format);
+      if (format === 'json') {
+        return { cid: Number(cid), ...output };
+      }
+      res.type(FORMATS[format].contentType);
+      res.set('Content-Disposition', `inline; filename="compound_${cid}.${FORMATS[format].extension}"`);
+      return output;
+    };
 
-    let pugViewPath = `data/compound/${cid}/JSON`;
-    if (heading) {
-      pugViewPath += `?heading=${encodeURIComponent(heading)}`;
-    }
+    const cacheKey = `structure3d:${cid}`;
+    const loadMolecule = async () => {
+      const record = await fetchFromPubChem(`compound/cid/${cid}/record/JSON?record_type=3d`);
+      const molecule = fromPubChemCompound(record.PC_Compounds?.[0], `CID ${cid}`);
+      if (molecule) {
+        await cache.set(cacheKey, molecule);
+      }
+      return molecule;
+    };
 
-    const cacheKey = `pugview:${cid}:${section || 'all'}:${heading || 'none'}`;
-    const cachedData = cache.get(cacheKey);
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
 
-    if (cachedData) {
-      console.log(`📦 Cache hit for PUG-View: ${cid}/${section || 'all'}`);
+    if (cachedEntry && !cachedEntry.stale) {
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadMolecule);
+      }
       res.set('X-Cache', 'HIT');
-      return res.json(cachedData);
+      return sendCached(req, res, render(cachedEntry.value), { policy: 'pubchem', lastModified: cachedEntry.storedAt });
     }
 
-    const pugViewUrl = `https://pubchem.ncbi.nlm.nih.gov/rest/pug_view/${pugViewPath}`;
-    console.log(`📚 Fetching PUG-View data: ${pugViewUrl}`);
+    console.log(`🧊 Fetching 3D structure for CID: ${cid} (${format})`);
 
-    await new Promise(resolve => setTimeout(resolve, 200));
+    const molecule = await inflight.do(cacheKey, loadMolecule);
 
-    const response = await fetch(pugViewUrl, {
-      headers: {
-        'User-Agent': 'MoleculeStudio/1.0 (Educational Research Tool)',
-        'Accept': 'application/json'
-      },
-      timeout: 30000
-    });
+    if (!molecule) {
+      return res.status(404).json({
+        error: '3D structure not found',
+        message: `PubChem has no 3D conformer for CID ${cid}`
+      });
+    }
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({
-          error: 'Educational content not found',
-          message: `No educational annotations found for compound ${cid}${heading ? ` under heading "${heading}"` : ''}`,
-          suggestions: [
-            'Try a different compound with more available data',
-            'Check available headings using the /api/pugview/headings endpoint',
-            'This compound may have limited educational annotations'
-          ]
-        });
-      }
-      throw new Error(`PUG-View error: ${response.status}`);
+    res.set('X-Cache', 'MISS');
+    sendCached(req, res, render(molecule), { policy: 'pubchem', lastModified: Date.now() });
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
     }
 
-    const data = await response.json();
+    console.error('❌ 3D structure error:', error);
 
-    let educationalContent = data;
+    if (cachedEntry && isUpstreamFailure(error)) {
+      return sendStale(req, res, cachedEntry, render(cachedEntry.value));
+    }
 
-    if (section === 'safety') {
-      educationalContent = extractSafetyData(data);
-    } else if (section === 'pharmacology') {
-      educationalContent = extractPharmacologyData(data);
-    } else if (section === 'properties') {
-      educationalContent = extractPropertiesData(data);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
     }
 
-    cache.set(cacheKey, educationalContent);
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
 
-    res.set('X-Cache', 'MISS');
-    res.set('X-PugView-URL', pugViewUrl);
-    res.json(educationalContent);
+    // PubChem answers 404 for compounds without a conformer (salts, large or unusual structures)
+    if (error.status === 400 || error.status === 404) {
+      return res.status(404).json({
+        error: '3D structure not found',
+        message: `PubChem has no 3D conformer for CID ${req.params.cid}`,
+        pubchem_error: error.message
+      });
+    }
 
-  } catch (error) {
-    console.error('❌ PUG-View error:', error);
     res.status(500).json({
-      error: 'Failed to fetch educational annotations',
-      message: error.message
+      error: 'Failed to fetch 3D structure',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
-// Autocomplete endpoint for chemical name suggestions
-app.get('/api/autocomplete/:query', async (req, res) => {
+// Drug-likeness rule evaluation; accepts the same identifier types as the educational endpoint
+app.get('/api/pubchem/compound/:identifier/druglikeness', async (req, res) => {
+  let cachedEntry;
   try {
-    const { query } = req.params;
-    const limit = req.query.limit || 10;
-
-    const cacheKey = `autocomplete:${query}:${limit}`;
-    const cachedData = autocompleteCache.get(cacheKey);
-
-    if (cachedData) {
-      console.log(`📦 Cache hit for autocomplete: ${query}`);
-      res.set('X-Cache', 'HIT');
-      return res.json(cachedData);
+    const { identifier } = req.params;
+    const identifierType = req.query.type || 'cid';
+    validateIdentifierType(identifierType);
+    if (identifierType === 'cid') {
+      validateCid(identifier, 'identifier');
     }
 
-    const autocompleteUrl = `https://pubchem.ncbi.nlm.nih.gov/rest/autocomplete/Compound/${encodeURIComponent(query)}/json?limit=${limit}`;
-    console.log(`🔍 Fetching autocomplete: ${autocompleteUrl}`);
-
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const cacheKey = `druglikeness:${identifierType}:${identifier}`;
+    const loadReport = async () => {
+      const report = await buildDruglikenessReport(identifier, identifierType);
+      if (report) {
+        await cache.set(cacheKey, report);
+      }
+      return report;
+    };
 
-    const response = await fetch(autocompleteUrl, {
-      headers: {
-        'User-Agent': 'MoleculeStudio/1.0 (Educational Research Tool)',
-        'Accept': 'application/json'
-      },
-      timeout: 10000
-    });
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
 
-    if (!response.ok) {
-      throw new Error(`Autocomplete error: ${response.status}`);
+    if (cachedEntry && !cachedEntry.stale) {
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadReport);
+      }
+      res.set('X-Cache', 'HIT');
+      return sendCached(req, res, cachedEntry.value, { policy: 'educational', lastModified: cachedEntry.storedAt });
     }
 
-    const data = await response.json();
+    console.log(`💊 Evaluating drug-likeness for: ${identifier} (type: ${identifierType})`);
 
-    const suggestions = {
-      query: query,
-      total: data.total || 0,
-      suggestions: data.dictionary_terms?.compound || []
-    };
+    const report = await inflight.do(cacheKey, loadReport);
 
-    autocompleteCache.set(cacheKey, suggestions);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Compound not found',
+        message: `No compound found for "${identifier}" using ${identifierType} search`
+      });
+    }
 
     res.set('X-Cache', 'MISS');
-    res.json(suggestions);
+    sendCached(req, res, report, { policy: 'educational', lastModified: Date.now() });
 
   } catch (error) {
-    console.error('❌ Autocomplete error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch suggestions',
-      message: error.message
-    });
-  }
-});
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
 
-// Get available educational headings
-app.get('/api/pugview/headings/:topic?', async (req, res) => {
-  try {
-    const { topic } = req.params;
+    console.error('❌ Drug-likeness error:', error);
 
-    const educationalHeadings = {
-      safety: [
-        'Safety and Hazards',
-        'Toxicity',
-        'First Aid Measures',
-        'Fire Fighting Measures',
-        'Accidental Release Measures',
-        'Handling and Storage',
-        'Exposure Controls',
-        'GHS Classification'
-      ],
-      pharmacology: [
-        'Pharmacology and Biochemistry',
-        'Mechanism of Action',
-        'Pharmacokinetics',
-        'Therapeutic Uses',
-        'Drug Interactions',
-        'Contraindications',
-        'Dosage Forms',
-        'Clinical Trials'
-      ],
-      properties: [
-        'Chemical and Physical Properties',
-        'Density',
-        'Boiling Point',
-        'Melting Point',
-        'Solubility',
-        'Viscosity',
-        'Vapor Pressure',
-        'Stability/Shelf Life',
-        'Decomposition',
-        'pH',
-        'Odor',
-        'Color/Form'
-      ]
-    };
+    if (cachedEntry && isUpstreamFailure(error)) {
+      return sendStale(req, res, cachedEntry, cachedEntry.value);
+    }
 
-    if (topic && educationalHeadings[topic]) {
-      res.json({
-        topic: topic,
-        headings: educationalHeadings[topic]
-      });
-    } else {
-      res.json({
-        all_topics: Object.keys(educationalHeadings),
-        headings_by_topic: educationalHeadings
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    if (error.message.includes('PubChem API error: 400') || error.message.includes('PubChem API error: 404')) {
+      return res.status(404).json({
+        error: 'Compound not found',
+        message: `PubChem could not find compound "${req.params.identifier}" using ${req.query.type || 'cid'} search`,
+        pubchem_error: error.message
       });
     }
 
-  } catch (error) {
-    console.error('❌ Headings error:', error);
     res.status(500).json({
-      error: 'Failed to get headings',
-      message: error.message
+      error: 'Failed to evaluate drug-likeness',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
-// Main PubChem proxy endpoint
-app.get('/api/pubchem/*', async (req, res) => {
+// Every compound an identifier could mean, ranked, with title, formula and thumbnail.
+// ?type=auto (the default) guesses the type from the text; the guess is reported back.
+app.get('/api/resolve', async (req, res) => {
+  let cachedEntry;
+  let present;
   try {
-    const pubchemPath = req.params[0];
-    const queryParams = new URLSearchParams(req.query).toString();
-    const fullPath = queryParams ? `${pubchemPath}?${queryParams}` : pubchemPath;
+    const query = validateResolveQuery(req.query.q);
+    const requestedType = req.query.type || 'auto';
+    const identifierType = requestedType === 'auto' ? detectIdentifierType(query) : requestedType;
+    validateIdentifierType(identifierType);
+    if (identifierType === 'cid') {
+      validateCid(query, 'q');
+    }
+    if (identifierType === 'cas') {
+      validateCasNumber(query, 'q');
+    }
+    const limit = validateLimit(req.query.limit || RESOLVE_DEFAULT_LIMIT, { max: RESOLVE_MAX_CANDIDATES });
+
+    const cacheKey = candidateCacheKey(query, identifierType);
+    const loadCandidates = () => loadCandidateList(query, identifierType);
+    present = candidateList => ({
+      query,
+      identifier_type: identifierType,
+      type_detected: requestedType === 'auto',
+      total_matches: candidateList.total_matches,
+      ambiguous: candidateList.total_matches > 1,
+      candidates: candidateList.candidates.slice(0, limit)
+    });
 
-    const cacheKey = `pubchem:${fullPath}`;
-    const cachedData = cache.get(cacheKey);
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
 
-    if (cachedData) {
-      console.log(`📦 Cache hit for: ${fullPath}`);
+    if (cachedEntry && !cachedEntry.stale) {
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadCandidates);
+      }
       res.set('X-Cache', 'HIT');
-      res.set('Content-Type', cachedData.contentType);
-      return res.send(cachedData.data);
+      return sendCached(req, res, present(cachedEntry.value), { policy: 'educational', lastModified: cachedEntry.storedAt });
     }
 
-    const pubchemUrl = `https://pubchem.ncbi.nlm.nih.gov/rest/pug/${fullPath}`;
-    console.log(`🔍 Fetching from PubChem: ${pubchemUrl}`);
-
-    await new Promise(resolve => setTimeout(resolve, 200));
+    console.log(`🔎 Resolving "${query}" (type: ${identifierType})`);
 
-    const response = await fetch(pubchemUrl, {
-      headers: {
-        'User-Agent': 'MoleculeStudio/1.0 (Educational Research Tool)',
-        'Accept': '*/*'
-      },
-      timeout: 30000
-    });
+    const candidateList = await inflight.do(cacheKey, loadCandidates);
 
-    if (response.status === 503) {
-      return res.status(503).json({
-        error: 'PubChem service temporarily unavailable',
-        message: 'PubChem is experiencing high traffic. Please try again in a few seconds.',
-        retryAfter: 10
+    if (!candidateList) {
+      return res.status(404).json({
+        error: 'Compound not found',
+        message: `No compound found for "${query}" using ${identifierType} search`,
+        identifier_type: identifierType,
+        suggestions: createTranslator(resolveLocale(req))('suggestions.compound_not_found')
       });
     }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ PubChem error ${response.status}: ${errorText}`);
-
-      if (response.status === 404) {
-        return res.status(404).json({
-          error: 'Compound not found',
-          message: 'The requested compound was not found in PubChem database.',
-          suggestions: [
-            'Check spelling of the compound name',
-            'Try alternative names (e.g., "acetylsalicylic acid" for aspirin)',
-            'Use chemical identifiers like SMILES or InChI'
-          ]
-        });
-      }
+    res.set('X-Cache', 'MISS');
+    sendCached(req, res, present(candidateList), { policy: 'educational', lastModified: Date.now() });
 
-      return res.status(response.status).json({
-        error: 'PubChem API error',
-        status: response.status,
-        message: errorText || 'Unknown error occurred'
-      });
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
     }
 
-    const contentType = response.headers.get('content-type') || 'application/json';
-    let data;
+    console.error('❌ Resolve error:', error);
 
-    if (contentType.includes('application/json')) {
-      data = await response.json();
-    } else {
-      data = await response.text();
+    if (cachedEntry && isUpstreamFailure(error)) {
+      return sendStale(req, res, cachedEntry, present(cachedEntry.value));
     }
 
-    if (fullPath.includes('/property/') && data.PropertyTable) {
-      data.educational_context = addEducationalContext(data.PropertyTable.Properties);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
     }
 
-    cache.set(cacheKey, { data, contentType });
-    console.log(`💾 Cached response for: ${fullPath}`);
-
-    res.set('Content-Type', contentType);
-    res.set('X-Cache', 'MISS');
-    res.set('X-PubChem-URL', pubchemUrl);
-
-    res.send(data);
-
-  } catch (error) {
-    console.error('❌ Proxy error:', error);
-
-    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      return res.status(503).json({
-        error: 'Network error',
-        message: 'Unable to connect to PubChem. Please check your internet connection.',
-        code: error.code
-      });
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
     }
 
-    if (error.name === 'FetchError' && error.message.includes('timeout')) {
-      return res.status(504).json({
-        error: 'Request timeout',
-        message: 'PubChem request timed out. The service may be overloaded.',
-        retryAfter: 30
+    if (error.status === 400 || error.status === 404) {
+      return res.status(404).json({
+        error: 'Compound not found',
+        message: `PubChem could not find "${req.query.q}"`,
+        pubchem_error: error.message
       });
     }
 
     res.status(500).json({
-      error: 'Internal server error',
-      message: 'An unexpected error occurred while processing your request.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: 'Failed to resolve identifier',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
-// Helper functions
-async function fetchFromPubChem(path) {
-  const pubchemUrl = `https://pubchem.ncbi.nlm.nih.gov/rest/pug/${path}`;
-  console.log(`🌐 PubChem API call: ${pubchemUrl}`);
-
-  await new Promise(resolve => setTimeout(resolve, 200));
+// Compare 2-10 compounds side by side; all ids share one ?type= and resolve like the educational route.
+// The resolved property rows are cached, the comparison text is rendered per language and level.
+app.get('/api/compare', async (req, res) => {
+  let cachedEntry;
+  let locale;
+  try {
+    const identifierType = req.query.type || 'cid';
+    validateIdentifierType(identifierType);
+    const ids = validateCompareIds(req.query.ids, { max: COMPARE_MAX_IDS });
+    if (identifierType === 'cid') {
+      ids.forEach(id => validateCid(id, 'ids'));
+    } else if (identifierType === 'cas') {
+      ids.forEach(id => validateCasNumber(id, 'ids'));
+    }
+    locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+
+    const cacheKey = `compare:${identifierType}:${ids.join(',')}`;
+    const loadComparison = async () => {
+      const comparison = await buildComparisonInput(ids, identifierType);
+      if (comparison.compounds) {
+        await cache.set(cacheKey, comparison);
+      }
+      return comparison;
+    };
 
-  const response = await fetch(pubchemUrl, {
-    headers: {
-      'User-Agent': 'MoleculeStudio/1.0 (Educational Research Tool)',
-      'Accept': 'application/json'
-    },
-    timeout: 30000
-  });
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
 
-  if (!response.ok) {
-    let errorDetails = '';
-    try {
-      const errorText = await response.text();
-      console.error(`❌ PubChem error response: ${errorText}`);
-      errorDetails = errorText;
-    } catch (e) {
-      errorDetails = 'Unable to read error details';
+    if (cachedEntry && !cachedEntry.stale) {
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadComparison);
+      }
+      res.set('X-Cache', 'HIT');
+      return sendCached(req, res, presentComparison(cachedEntry.value, locale), { policy: 'educational', lastModified: cachedEntry.storedAt });
     }
 
-    throw new Error(`PubChem API error: ${response.status} - ${errorDetails}`);
-  }
+    console.log(`⚖️ Comparing ${ids.length} compounds (type: ${identifierType})`);
 
-  const contentType = response.headers.get('content-type') || 'application/json';
+    const comparison = await inflight.do(cacheKey, loadComparison);
 
-  if (contentType.includes('application/json')) {
-    return await response.json();
+    if (comparison.not_found) {
+      return res.status(404).json({
+        error: 'Compound not found',
+        message: `No compound found for ${comparison.not_found.map(id => `"${id}"`).join(', ')} using ${identifierType} search`,
+        not_found: comparison.not_found,
+        suggestions: createTranslator(locale)('suggestions.compound_not_found')
+      });
+    }
+
+    res.set('X-Cache', 'MISS');
+    sendCached(req, res, presentComparison(comparison, locale), { policy: 'educational', lastModified: Date.now() });
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ Comparison error:', error);
+
+    if (cachedEntry && isUpstreamFailure(error)) {
+      return sendStale(req, res, cachedEntry, presentComparison(cachedEntry.value, locale));
+    }
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to compare compounds',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Structure conversion between SDF/MOL (V2000 and V3000), XYZ, PDB, CML and atom/bond JSON, plus MOL2 output.
+// Parsing and writing are local; only a {cid} source whose SDF is not cached yet goes to PubChem.
+app.post('/api/convert', express.text({ type: ['text/*', 'chemical/*'], limit: '5mb' }), async (req, res) => {
+  let from;
+  try {
+    // A text body is the structure itself, with from/to in the query string
+    const body = typeof req.body === 'string' ? { input: req.body } : (req.body || {});
+    validateConvertSource(body);
+    const to = validateFormat(body.to || req.query.to || 'json', Object.keys(FORMATS), 'to');
+
+    let input;
+    let cacheStatus = null;
+    if (body.cid !== undefined) {
+      const recordType = body.record_type || req.query.record_type;
+      const loaded = await loadCidSdf(body.cid, recordType ? validateFormat(recordType, ['2d', '3d'], 'record_type') : null);
+      input = loaded.text;
+      cacheStatus = loaded.cacheStatus;
+      from = 'sdf';
+    } else if (body.input !== undefined) {
+      const requested = body.from || req.query.from;
+      input = body.input;
+      from = requested ? validateFormat(requested, READ_FORMATS, 'from') : detectFormat(input);
+      if (!from) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          segment: 'from',
+          value: null,
+          message: 'Could not recognise the input format; name it with "from"',
+          allowed: READ_FORMATS
+        });
+      }
+    } else {
+      input = body.molecule !== undefined ? { molecule: body.molecule } : { molecules: body.molecules };
+      from = 'json';
+    }
+
+    const molecules = readMolecules(input, from);
+    validateStructureCount(to, molecules.length);
+    const output = writeMolecules(molecules, to);
+    console.log(`🔁 Converted ${molecules.length} structure(s) from ${from} to ${to}`);
+
+    if (cacheStatus) {
+      res.set('X-Cache', cacheStatus);
+    }
+    if (to === 'json') {
+      return res.json({ from, to, count: molecules.length, molecules: output });
+    }
+    res.type(FORMATS[to].contentType);
+    res.set('Content-Disposition', `inline; filename="${body.cid !== undefined ? `compound_${body.cid}` : 'converted'}.${FORMATS[to].extension}"`);
+    res.send(output);
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    // Names the line (1-based, in the submitted or cached text) and the field that could not be read
+    if (error.code === 'PARSE_ERROR') {
+      return res.status(400).json({
+        error: 'Could not parse structure',
+        format: from,
+        line: error.line,
+        field: error.field,
+        message: error.reason
+      });
+    }
+
+    console.error('❌ Conversion error:', error);
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    if (error.status === 400 || error.status === 404) {
+      return res.status(404).json({
+        error: 'Structure not found',
+        message: `PubChem has no ${req.body.record_type || req.query.record_type || '2d'} SDF for CID ${req.body.cid}`,
+        pubchem_error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to convert structure',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Structured sections only need their parts of the record, which keeps PUG-View payloads small.
+// Each heading is a separate PUG-View request; the records are merged before extraction, and a heading
+// that fails is listed in failed_headings instead of failing the whole section.
+const PUGVIEW_SECTION_HEADINGS = {
+  safety: ['Safety and Hazards'],
+  pharmacology: ['Pharmacology and Biochemistry', 'Drug and Medication Information', 'Interactions and Pathways', 'Interactions'],
+  properties: ['Experimental Properties']
+};
+
+// PUG-View endpoint for detailed educational annotations
+app.get('/api/pugview/compound/:cid/:section?', async (req, res) => {
+  let cachedEntry;
+  try {
+    const { cid, section } = req.params;
+    // raw=true skips the structured extraction and returns PubChem's Record tree
+    const raw = req.query.raw === 'true';
+    const heading = req.query.heading;
+    const headings = heading ? [heading] : (PUGVIEW_SECTION_HEADINGS[section] || []);
+    validateCid(cid);
+
+    const pugViewPaths = headings.length > 0
+      ? headings.map(name => `data/compound/${cid}/JSON?heading=${encodeURIComponent(name)}`)
+      : [`data/compound/${cid}/JSON`];
+
+    const cacheKey = `pugview:${cid}:${section || 'all'}:${headings.join('|') || 'none'}${raw ? ':raw' : ''}`;
+    const loadSection = () => loadPugViewSection(pugViewPaths, headings, raw ? null : section, cacheKey);
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
+
+    if (cachedEntry && !cachedEntry.stale) {
+      console.log(`📦 Cache hit for PUG-View: ${cid}/${section || 'all'}`);
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadSection);
+      }
+      res.set('X-Cache', 'HIT');
+      return sendCached(req, res, cachedEntry.value, { policy: 'pugview', lastModified: cachedEntry.storedAt });
+    }
+
+    const pugViewUrls = pugViewPaths.map(pugViewPath => `https://pubchem.ncbi.nlm.nih.gov/rest/pug_view/${pugViewPath}`);
+    console.log(`📚 Fetching PUG-View data: ${pugViewUrls.join(', ')}`);
+
+    const educationalContent = await inflight.do(cacheKey, loadSection);
+
+    if (!educationalContent) {
+      return res.status(404).json({
+        error: 'Educational content not found',
+        message: `No educational annotations found for compound ${cid}${heading ? ` under heading "${heading}"` : ''}`,
+        suggestions: createTranslator(resolveLocale(req))('suggestions.annotations_not_found')
+      });
+    }
+
+    res.set('X-Cache', 'MISS');
+    res.set('X-PugView-URL', pugViewUrls.join(', '));
+    sendCached(req, res, educationalContent, { policy: 'pugview', lastModified: Date.now() });
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ PUG-View error:', error);
+
+    if (cachedEntry && isUpstreamFailure(error)) {
+      return sendStale(req, res, cachedEntry, cachedEntry.value);
+    }
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch educational annotations',
+      message: error.message
+    });
+  }
+});
+
+// Autocomplete endpoint for chemical name suggestions
+app.get('/api/autocomplete/:query', async (req, res) => {
+  try {
+    const { query } = req.params;
+    const limit = validateLimit(req.query.limit || 10);
+
+    const cacheKey = `autocomplete:${query}:${limit}`;
+    const cachedEntry = await autocompleteCache.getEntry(cacheKey);
+
+    if (cachedEntry) {
+      console.log(`📦 Cache hit for autocomplete: ${query}`);
+      res.set('X-Cache', 'HIT');
+      return sendCached(req, res, cachedEntry.value, { policy: 'autocomplete', lastModified: cachedEntry.storedAt });
+    }
+
+    const autocompletePath = `Compound/${encodeURIComponent(query)}/json?limit=${limit}`;
+    console.log(`🔍 Fetching autocomplete: https://pubchem.ncbi.nlm.nih.gov/rest/autocomplete/${autocompletePath}`);
+
+    const response = await pubchemClient.fetchAutocomplete(autocompletePath);
+
+    if (!response.ok) {
+      throw new Error(`Autocomplete error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    const suggestions = {
+      query: query,
+      total: data.total || 0,
+      suggestions: data.dictionary_terms?.compound || []
+    };
+
+    const entry = await autocompleteCache.set(cacheKey, suggestions);
+
+    res.set('X-Cache', 'MISS');
+    sendCached(req, res, suggestions, { policy: 'autocomplete', lastModified: entry.storedAt });
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ Autocomplete error:', error);
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch suggestions',
+      message: error.message
+    });
+  }
+});
+
+// Get available educational headings
+app.get('/api/pugview/headings/:topic?', async (req, res) => {
+  try {
+    const { topic } = req.params;
+
+    const educationalHeadings = {
+      safety: [
+        'Safety and Hazards',
+        'Toxicity',
+        'First Aid Measures',
+        'Fire Fighting Measures',
+        'Accidental Release Measures',
+        'Handling and Storage',
+        'Exposure Controls',
+        'GHS Classification'
+      ],
+      pharmacology: [
+        'Pharmacology and Biochemistry',
+        'Mechanism of Action',
+        'Pharmacokinetics',
+        'Therapeutic Uses',
+        'Drug Interactions',
+        'Contraindications',
+        'Dosage Forms',
+        'Clinical Trials'
+      ],
+      properties: [
+        'Chemical and Physical Properties',
+        'Density',
+        'Boiling Point',
+        'Melting Point',
+        'Solubility',
+        'Viscosity',
+        'Vapor Pressure',
+        'Stability/Shelf Life',
+        'Decomposition',
+        'pH',
+        'Odor',
+        'Color/Form'
+      ]
+    };
+
+    // Headings stay in PubChem's English (they are ?heading= values); labels are translated for display
+    const locale = resolveLocale(req);
+    const headingLabels = createTranslator(locale)('headings');
+    const labelsFor = headings => Object.fromEntries(headings.map(heading => [heading, headingLabels[heading] || heading]));
+    setLocaleHeaders(res, locale);
+
+    if (topic && educationalHeadings[topic]) {
+      res.json({
+        topic: topic,
+        headings: educationalHeadings[topic],
+        labels: labelsFor(educationalHeadings[topic]),
+        language: locale.language
+      });
+    } else {
+      res.json({
+        all_topics: Object.keys(educationalHeadings),
+        headings_by_topic: educationalHeadings,
+        labels: labelsFor(Object.values(educationalHeadings).flat()),
+        language: locale.language
+      });
+    }
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ Headings error:', error);
+    res.status(500).json({
+      error: 'Failed to get headings',
+      message: error.message
+    });
+  }
+});
+
+// Batch educational lookup for worksheets: mixed identifier types in, one result per item out.
+// ?stream=ndjson (or Accept: application/x-ndjson) writes each result as soon as it is ready.
+app.post('/api/pubchem/compound/educational/batch', async (req, res) => {
+  let streaming = false;
+  try {
+    const body = req.body || {};
+    validateBatchItems(body.items, BATCH_MAX_ITEMS);
+    const locale = resolveLocale(req);
+    const fields = body.fields ? validateFields(body.fields) : null;
+    const synonymGroups = body.synonym_groups ? validateSynonymGroups(body.synonym_groups) : null;
+    let parts = body.include ? validateEducationalParts(body.include, BATCH_PARTS) : BATCH_DEFAULT_PARTS;
+    if (parts.includes('context') && !parts.includes('properties')) {
+      parts = [...parts, 'properties'];
+    }
+
+    const items = body.items.map(item => normalizeBatchItem(item, body.type || 'cid'));
+    const results = new Array(items.length);
+    const summary = { ok: 0, not_found: 0, invalid: 0, failed: 0 };
+
+    streaming = req.query.stream === 'ndjson' || (req.get('Accept') || '').includes('application/x-ndjson');
+    setLocaleHeaders(res, locale);
+    if (streaming) {
+      res.status(200);
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.set('Cache-Control', 'no-store');
+      res.flushHeaders();
+    }
+
+    console.log(`📦 Educational batch: ${items.length} items (${parts.join(', ')})${streaming ? ' [ndjson]' : ''}`);
+
+    const emit = result => {
+      results[result.index] = result;
+      summary[result.status]++;
+      if (streaming) {
+        res.write(`${JSON.stringify(result)}\n`);
+      }
+    };
+
+    await runEducationalBatch(items, { parts, translate: createTranslator(locale), fields, synonymGroups, emit });
+
+    if (streaming) {
+      return res.end(`${JSON.stringify({ done: true, count: items.length, summary })}\n`);
+    }
+    res.json({ count: items.length, summary, results });
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ Educational batch error:', error);
+
+    // Headers are already out once streaming starts, so report the failure as a final line
+    if (streaming) {
+      return res.end(`${JSON.stringify({ done: true, error: 'Batch failed', message: error.message })}\n`);
+    }
+
+    res.status(500).json({
+      error: 'Failed to process batch',
+      message: error.message
+    });
+  }
+});
+
+// Main PubChem proxy endpoint
+app.get('/api/pubchem/*', (req, res) => proxyPubChemRequest(req, res));
+
+// POST variant: structure strings go in a form or JSON body (smiles=, inchi=, sdf=, ...)
+// so characters like / # + \ never have to be encoded into the path
+app.post('/api/pubchem/*', (req, res) => {
+  try {
+    validatePostBody(req.body);
+  } catch (error) {
+    return sendInvalidRequest(res, error);
+  }
+  const form = buildPubChemForm(req.body);
+
+  if (!form) {
+    return res.status(400).json({
+      error: 'Missing request body',
+      message: 'POST requests need a form or JSON body with the input value, e.g. {"smiles": "C1=CC=CC=C1"}',
+      example: 'POST /api/pubchem/compound/smiles/cids/JSON'
+    });
+  }
+
+  return proxyPubChemRequest(req, res, form);
+});
+
+async function proxyPubChemRequest(req, res, form = null) {
+  let cachedEntry;
+  let locale;
+  try {
+    const pubchemPath = req.params[0];
+    // async/max_wait control ListKey handling and lang/level the educational text; none go to PubChem
+    const { async: asyncMode, max_wait: maxWait, lang, level, ...pubchemQuery } = req.query;
+    const queryParams = new URLSearchParams(pubchemQuery).toString();
+    const fullPath = queryParams ? `${pubchemPath}?${queryParams}` : pubchemPath;
+    validateProxyPath(pubchemPath, pubchemQuery, { body: form ? req.body : null });
+    locale = resolveLocale(req);
+    if (pubchemPath.includes('/property/')) {
+      setLocaleHeaders(res, locale);
+    }
+
+    const cacheKey = form
+      ? `pubchem:POST:${fullPath}:${crypto.createHash('sha1').update(form).digest('hex')}`
+      : `pubchem:${fullPath}`;
+    const loadProxyResponse = () => fetchProxyResponse(fullPath, cacheKey, form);
+    cachedEntry = await cache.getEntry(cacheKey, { allowStale: true });
+
+    if (cachedEntry && !cachedEntry.stale) {
+      console.log(`📦 Cache hit for: ${fullPath}`);
+      if (cache.isNearExpiry(cachedEntry)) {
+        revalidateInBackground(cacheKey, loadProxyResponse);
+      }
+      res.set('X-Cache', 'HIT');
+      res.set('Content-Type', cachedEntry.value.contentType);
+      return sendCached(req, res, localizedProxyBody(cachedEntry.value, locale), { policy: 'pubchem', lastModified: cachedEntry.storedAt });
+    }
+
+    const pubchemUrl = `https://pubchem.ncbi.nlm.nih.gov/rest/pug/${fullPath}`;
+    console.log(`🔍 Fetching from PubChem: ${pubchemUrl}`);
+
+    let upstream = await inflight.do(cacheKey, loadProxyResponse);
+    let body = upstream.openStream ? upstream.openStream() : null;
+    if (upstream.openStream && !body) {
+      // Joined a shared stream after it outgrew its replay buffer; fetch a copy of our own
+      upstream = await loadProxyResponse();
+      body = upstream.openStream ? upstream.openStream() : null;
+    }
+
+    if (cachedEntry && !upstream.ok && (upstream.status >= 500 || upstream.status === 429)) {
+      res.set('Content-Type', cachedEntry.value.contentType);
+      return sendStale(req, res, cachedEntry, localizedProxyBody(cachedEntry.value, locale));
+    }
+
+    if (upstream.status === 503) {
+      return res.status(503).json({
+        error: 'PubChem service temporarily unavailable',
+        message: 'PubChem is experiencing high traffic. Please try again in a few seconds.',
+        retryAfter: 10
+      });
+    }
+
+    if (!upstream.ok) {
+      const errorText = upstream.errorText;
+
+      if (upstream.status === 404) {
+        return res.status(404).json({
+          error: 'Compound not found',
+          message: 'The requested compound was not found in PubChem database.',
+          suggestions: createTranslator(locale)('suggestions.proxy_not_found')
+        });
+      }
+
+      return res.status(upstream.status).json({
+        error: 'PubChem API error',
+        status: upstream.status,
+        message: pubchemFaultMessage(errorText) || 'Unknown error occurred'
+      });
+    }
+
+    if (upstream.waiting) {
+      return sendListKeyResult(req, res, {
+        waiting: upstream.waiting,
+        fullPath,
+        cacheKey,
+        asyncMode,
+        maxWait,
+        valueInBody: Boolean(form),
+        locale
+      });
+    }
+
+    res.set('Content-Type', upstream.contentType);
+    res.set('X-Cache', 'MISS');
+    res.set('X-PubChem-URL', pubchemUrl);
+
+    if (body) {
+      // No ETag for streamed bodies: the bytes are not known until the stream ends
+      setCacheHeaders(res, 'pubchem', Date.now());
+      if (upstream.contentLength) {
+        res.set('Content-Length', String(upstream.contentLength));
+      }
+      body.on('error', error => {
+        console.error('❌ Proxy stream error:', error);
+        res.destroy(error);
+      });
+      return body.pipe(res);
+    }
+
+    sendCached(req, res, localizedProxyBody(upstream, locale), { policy: 'pubchem', lastModified: upstream.storedAt });
+
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ Proxy error:', error);
+
+    if (cachedEntry && isUpstreamFailure(error)) {
+      res.set('Content-Type', cachedEntry.value.contentType);
+      return sendStale(req, res, cachedEntry, localizedProxyBody(cachedEntry.value, locale));
+    }
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+      return res.status(503).json({
+        error: 'Network error',
+        message: 'Unable to connect to PubChem. Please check your internet connection.',
+        code: error.code
+      });
+    }
+
+    if (error.name === 'FetchError' && error.message.includes('timeout')) {
+      return res.status(504).json({
+        error: 'Request timeout',
+        message: 'PubChem request timed out. The service may be overloaded.',
+        retryAfter: 30
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while processing your request.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Poll an asynchronous PubChem search started through the proxy
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const locale = resolveLocale(req);
+    const job = await listKeyJobs.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job "${req.params.jobId}" exists or it has expired (jobs are kept for one hour)`
+      });
+    }
+
+    if (job.status === 'running') {
+      const result = await inflight.do(`listkey:${job.list_key}`, () => listKeyJobs.pollOnce(job.poll_path));
+      if (result.done) {
+        await finishListKeyJob(job, result);
+      }
+    }
+
+    return sendJobStatus(req, res, job, locale);
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendInvalidRequest(res, error);
+    }
+
+    console.error('❌ Job polling error:', error);
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res, error);
+    }
+
+    if (error.code === 'FIXTURE_MISSING') {
+      return sendFixtureMissing(res, error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to poll job',
+      message: error.message
+    });
+  }
+});
+
+// Helper functions
+
+// 400 naming the path segment or parameter that failed validation
+function sendInvalidRequest(res, error) {
+  const body = {
+    error: 'Invalid request',
+    segment: error.segment,
+    value: error.value,
+    message: error.message
+  };
+  if (error.allowed) body.allowed = error.allowed;
+  if (error.hint) body.hint = error.hint;
+
+  return res.status(400).json(body);
+}
+
+// PubChem caps how long we may block on a ListKey; Vercel functions stop at 30 s
+const DEFAULT_LISTKEY_WAIT_SECONDS = 20;
+const MAX_LISTKEY_WAIT_SECONDS = 25;
+
+// PubChem answered with a ListKey: block until results are ready, or hand back a job to poll
+async function sendListKeyResult(req, res, { waiting, fullPath, cacheKey, asyncMode, maxWait, valueInBody, locale }) {
+  const job = await listKeyJobs.createJob({
+    listKey: String(waiting.ListKey),
+    originalPath: fullPath,
+    valueInBody,
+    resultCacheKey: cacheKey,
+    message: waiting.Message
+  });
+  console.log(`⏳ PubChem returned ListKey ${job.list_key} for: ${fullPath} (job ${job.id})`);
+
+  if (asyncMode !== 'job') {
+    const requestedWait = parseFloat(maxWait);
+    const waitSeconds = Math.min(
+      MAX_LISTKEY_WAIT_SECONDS,
+      Math.max(0, Number.isFinite(requestedWait) ? requestedWait : DEFAULT_LISTKEY_WAIT_SECONDS)
+    );
+    const result = await inflight.do(`listkey-wait:${job.list_key}`, () => listKeyJobs.waitForResult(job.poll_path, waitSeconds * 1000));
+    if (result.done) {
+      await finishListKeyJob(job, result);
+    }
+  }
+
+  return sendJobStatus(req, res, job, locale);
+}
+
+// Record a finished ListKey on its job and cache successful results under the original proxy key
+async function finishListKeyJob(job, result) {
+  const value = { data: result.data, contentType: result.contentType };
+  if (result.encoding) {
+    value.encoding = result.encoding;
+  }
+
+  if (result.ok) {
+    if (job.original_path.includes('/property/') && value.data.PropertyTable) {
+      value.data.educational_context = addEducationalContext(value.data.PropertyTable.Properties);
+    }
+    await cache.set(job.result_cache_key, value);
+  }
+
+  job.status = result.ok ? 'complete' : 'failed';
+  job.completed_at = new Date().toISOString();
+  job.result = { status: result.status, ...value };
+  await listKeyJobs.saveJob(job);
+}
+
+function sendJobStatus(req, res, job, locale) {
+  if (job.status === 'running') {
+    res.set('Retry-After', '2');
+    res.set('Location', `/api/jobs/${job.id}`);
+    return res.status(202).json({
+      status: 'running',
+      job_id: job.id,
+      list_key: job.list_key,
+      poll_url: `/api/jobs/${job.id}`,
+      message: job.message || 'PubChem is still processing this search',
+      retryAfter: 2
+    });
+  }
+
+  if (job.status === 'failed') {
+    return res.status(job.result.status).json({
+      error: 'PubChem API error',
+      status: job.result.status,
+      job_id: job.id,
+      message: pubchemFaultMessage(proxyCacheBody(job.result)) || 'Unknown error occurred'
+    });
+  }
+
+  res.set('Content-Type', job.result.contentType);
+  res.set('X-Job-Id', job.id);
+  return sendCached(req, res, localizedProxyBody(job.result, locale), { policy: 'pubchem', lastModified: Date.parse(job.completed_at) });
+}
+
+// Non-JSON bodies larger than this are streamed through instead of buffered
+const STREAM_THRESHOLD_BYTES = 1024 * 1024;
+// Streamed bodies up to this size are still cached once they complete
+const MAX_CACHEABLE_BYTES = 5 * 1024 * 1024;
+// Formats that can be large and often arrive without a Content-Length
+const STREAMABLE_CONTENT_TYPE = /sdf|mdl|xml|csv|text\//i;
+
+// Binary and text bodies are cached as base64 so the bytes survive any backend
+function proxyCacheBody(cachedData) {
+  return cachedData.encoding === 'base64' ? Buffer.from(cachedData.data, 'base64') : cachedData.data;
+}
+
+// Cached property tables carry the default English context; other languages and levels re-derive it
+function localizedProxyBody(value, locale) {
+  const body = proxyCacheBody(value);
+  if (isDefaultLocale(locale) || !body || !body.PropertyTable || !body.educational_context) {
+    return body;
+  }
+  return { ...body, educational_context: addEducationalContext(body.PropertyTable.Properties, createTranslator(locale)) };
+}
+
+// PubChem errors arrive as {"Fault": {"Code", "Message", "Details": [...]}}, as JSON text, a parsed
+// object or raw bytes; returns the message and details as one readable string
+function pubchemFaultMessage(body) {
+  if (!body) return null;
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  let fault = typeof text === 'object' ? text.Fault : null;
+  if (typeof text === 'string') {
+    try {
+      fault = JSON.parse(text).Fault;
+    } catch (error) {
+      return text;
+    }
+  }
+  if (!fault) return null;
+  const message = fault.Message || fault.Code || null;
+  const details = (fault.Details || []).filter(Boolean).join(' ');
+  return details ? `${message}: ${details}` : message;
+}
+
+// Failures worth hiding behind a stale entry: network trouble, timeouts, 429 and 5xx.
+// A missing replay fixture is a test setup problem, so it is reported instead.
+function isUpstreamFailure(error) {
+  if (error.code === 'FIXTURE_MISSING') {
+    return false;
+  }
+  if (error.status) {
+    return error.status >= 500 || error.status === 429;
+  }
+  return true;
+}
+
+// Serve an expired entry from the grace period when PubChem could not be reached
+function sendStale(req, res, entry, body) {
+  console.log(`♻️  Serving stale cache entry stored at ${new Date(entry.storedAt).toISOString()}`);
+  cache.recordStaleHit();
+  res.set('X-Cache', 'STALE');
+  res.set('Warning', '110 - "Response is Stale", 111 - "Revalidation Failed"');
+  return sendCached(req, res, body, { policy: 'stale', lastModified: entry.storedAt });
+}
+
+// Fail fast with Retry-After while the PubChem circuit breaker is open
+function sendCircuitOpen(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(503).json({
+    error: 'PubChem temporarily unavailable',
+    message: 'PubChem is not responding, so requests are paused briefly instead of waiting for timeouts. Please try again shortly.',
+    retryAfter: error.retryAfter,
+    circuit_state: 'open'
+  });
+}
+
+// Replay mode has no recording for a request; a setup problem, never hidden behind stale data
+function sendFixtureMissing(res, error) {
+  return res.status(500).json({
+    error: 'Replay fixture missing',
+    message: error.message,
+    code: error.code
+  });
+}
+
+// Refresh an entry close to expiry without making the client wait
+function revalidateInBackground(cacheKey, load) {
+  console.log(`🔄 Revalidating in background: ${cacheKey}`);
+  inflight.do(cacheKey, load).catch(error => {
+    console.error(`❌ Background revalidation failed for ${cacheKey}:`, error.message);
+  });
+}
+
+// Form-encode a POST body for PubChem with sorted keys, so equal inputs share a cache key
+function buildPubChemForm(body) {
+  if (!body || typeof body !== 'object') return null;
+
+  const form = new URLSearchParams();
+  Object.keys(body).sort().forEach(name => {
+    const values = Array.isArray(body[name]) ? body[name] : [body[name]];
+    values
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .forEach(value => form.append(name, String(value)));
+  });
+
+  const encoded = form.toString();
+  return encoded || null;
+}
+
+// Fetch a proxied PubChem path once and cache successful bodies; shared by coalesced callers
+async function fetchProxyResponse(fullPath, cacheKey, form = null) {
+  const response = await pubchemClient.fetchPug(fullPath, form
+    ? {
+        accept: '*/*',
+        method: 'POST',
+        body: form,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    : { accept: '*/*' });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`❌ PubChem error ${response.status}: ${errorText}`);
+    return { ok: false, status: response.status, errorText };
+  }
+
+  const contentType = response.headers.get('content-type') || 'application/json';
+
+  if (contentType.includes('application/json')) {
+    const data = await response.json();
+
+    // Asynchronous searches answer with a ListKey to poll; never cache that placeholder
+    if (data.Waiting && data.Waiting.ListKey) {
+      return { ok: true, status: response.status, waiting: data.Waiting };
+    }
+
+    if (fullPath.includes('/property/') && data.PropertyTable) {
+      data.educational_context = addEducationalContext(data.PropertyTable.Properties);
+    }
+
+    const entry = await cache.set(cacheKey, { data, contentType });
+    console.log(`💾 Cached response for: ${fullPath}`);
+
+    return { ok: true, status: response.status, contentType, data, storedAt: entry.storedAt };
+  }
+
+  // node-fetch decodes gzip bodies, so an encoded Content-Length would not match the bytes we send
+  const contentLength = response.headers.get('content-encoding')
+    ? NaN
+    : parseInt(response.headers.get('content-length'), 10);
+  const shouldStream = Number.isFinite(contentLength)
+    ? contentLength > STREAM_THRESHOLD_BYTES
+    : STREAMABLE_CONTENT_TYPE.test(contentType);
+
+  if (shouldStream) {
+    console.log(`🌊 Streaming ${contentType} body for: ${fullPath}`);
+    return {
+      ok: true,
+      status: response.status,
+      contentType,
+      contentLength: Number.isFinite(contentLength) ? contentLength : null,
+      openStream: shareStreamedBody(response.body, cacheKey, contentType, fullPath)
+    };
+  }
+
+  // Raw bytes keep PNGs and other binary formats intact
+  const data = await response.buffer();
+  const entry = await cache.set(cacheKey, { data: data.toString('base64'), encoding: 'base64', contentType });
+  console.log(`💾 Cached ${data.length} byte response for: ${fullPath}`);
+
+  return { ok: true, status: response.status, contentType, data, storedAt: entry.storedAt };
+}
+
+// Read a streamed body once, caching it if it stays small enough, and hand each coalesced caller its
+// own copy: openStream() replays the chunks received so far, then follows the live body. Once the
+// body outgrows the buffer a caller that has not opened yet gets null and has to fetch for itself.
+function shareStreamedBody(source, cacheKey, contentType, fullPath) {
+  const chunks = [];
+  const readers = new Set();
+  let size = 0;
+  let tooLarge = false;
+  let ended = false;
+  let failure = null;
+
+  source.on('data', chunk => {
+    readers.forEach(reader => reader.write(chunk));
+    if (tooLarge) return;
+    size += chunk.length;
+    if (size > MAX_CACHEABLE_BYTES) {
+      tooLarge = true;
+      chunks.length = 0;
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  source.on('error', error => {
+    failure = error;
+    readers.forEach(reader => reader.destroy(error));
+  });
+
+  source.on('end', () => {
+    ended = true;
+    readers.forEach(reader => reader.end());
+    if (tooLarge) {
+      console.log(`ℹ️  Not caching ${size}+ byte streamed response for: ${fullPath}`);
+      return;
+    }
+    const data = Buffer.concat(chunks);
+    cache.set(cacheKey, { data: data.toString('base64'), encoding: 'base64', contentType })
+      .then(() => console.log(`💾 Cached ${data.length} byte streamed response for: ${fullPath}`));
+  });
+
+  return function openStream() {
+    if (tooLarge) return null;
+    const reader = new PassThrough();
+    chunks.forEach(chunk => reader.write(chunk));
+    if (failure) {
+      process.nextTick(() => reader.destroy(failure));
+    } else if (ended) {
+      reader.end();
+    } else {
+      readers.add(reader);
+      reader.on('close', () => readers.delete(reader));
+    }
+    return reader;
+  };
+}
+
+// Fetch a raw PUG-View record; null when PubChem has no annotations for it
+async function fetchPugViewRecord(pugViewPath) {
+  const response = await pubchemClient.fetchPugView(pugViewPath);
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return null;
+    }
+    const error = new Error(`PUG-View error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Fetch the PUG-View record(s), extract the requested section and cache it; null when nothing was found.
+// When no heading returns a record, the first failure is rethrown (for stale data or a 503); otherwise
+// failures are reported per heading and the partial result is not cached, so the next request retries.
+async function loadPugViewSection(pugViewPaths, headings, section, cacheKey) {
+  const results = await Promise.allSettled(pugViewPaths.map(pugViewPath =>
+    inflight.do(`pugview:${pugViewPath}`, () => fetchPugViewRecord(pugViewPath))
+  ));
+  const failures = results.filter(result => result.status === 'rejected');
+  const failedHeadings = results.flatMap((result, index) => result.status === 'rejected'
+    ? [{ heading: headings[index], message: result.reason.message, ...(result.reason.code ? { code: result.reason.code } : {}) }]
+    : []);
+  failedHeadings.forEach(({ heading, message }) => console.error(`❌ PUG-View heading "${heading}" failed: ${message}`));
+
+  const found = results.filter(result => result.status === 'fulfilled' && result.value).map(result => result.value);
+  if (found.length === 0) {
+    if (failures.length > 0) throw failures[0].reason;
+    return null;
+  }
+
+  const data = found.length === 1 ? found[0] : mergeRecords(found);
+
+  let educationalContent = data;
+
+  if (section === 'safety') {
+    educationalContent = extractSafetyData(data);
+  } else if (section === 'pharmacology') {
+    educationalContent = extractPharmacologyData(data);
+  } else if (section === 'properties') {
+    educationalContent = extractPropertiesData(data);
+  }
+
+  if (failedHeadings.length > 0) {
+    return { ...educationalContent, failed_headings: failedHeadings };
+  }
+
+  await cache.set(cacheKey, educationalContent);
+  return educationalContent;
+}
+
+function fetchFromPubChem(path, form = null) {
+  const key = form ? `pug:POST:${path}:${form}` : `pug:${path}`;
+  return inflight.do(key, () => requestFromPubChem(path, form));
+}
+
+async function requestFromPubChem(path, form = null) {
+  const pubchemUrl = `https://pubchem.ncbi.nlm.nih.gov/rest/pug/${path}`;
+  console.log(`🌐 PubChem API call: ${form ? 'POST ' : ''}${pubchemUrl}`);
+
+  const response = await pubchemClient.fetchPug(path, form
+    ? { method: 'POST', body: form, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    : {});
+
+  if (!response.ok) {
+    let errorDetails = '';
+    try {
+      const errorText = await response.text();
+      console.error(`❌ PubChem error response: ${errorText}`);
+      errorDetails = errorText;
+    } catch (e) {
+      errorDetails = 'Unable to read error details';
+    }
+
+    const error = new Error(`PubChem API error: ${response.status} - ${errorDetails}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const contentType = response.headers.get('content-type') || 'application/json';
+
+  if (contentType.includes('application/json')) {
+    return await response.json();
   } else {
     return await response.text();
   }
 }
 
-function extractSafetyData(data) {
-  return data;
+// PubChem namespace per identifier type: CAS numbers are synonyms, formulas use the fast search
+const IDENTIFIER_NAMESPACES = { cas: 'name', formula: 'fastformula' };
+
+// Broad formulas match thousands of CIDs; only the first ones are kept as candidates
+const RESOLVE_MAX_CANDIDATES = 50;
+
+// Look up the CIDs for any identifier type the educational endpoint accepts; null when PubChem has no match.
+// cid is PubChem's first match and cids the candidates for disambiguation.
+async function resolveCid(identifier, identifierType) {
+  if (identifierType === 'cid') {
+    return { cid: identifier, endpoint: 'direct CID', cids: [Number(identifier)], total_matches: 1 };
+  }
+  if (identifierType === 'cas') {
+    validateCasNumber(identifier);
+  }
+
+  // Only names are case-insensitive; SMILES, InChI and formulas change meaning with case
+  const value = identifierType === 'name' ? identifier.toLowerCase().trim() : identifier.trim();
+  const namespace = IDENTIFIER_NAMESPACES[identifierType] || identifierType;
+  console.log(`🔍 Searching for CID using ${identifierType}: ${value}`);
+
+  // InChI strings contain slashes, so they go in a POST body
+  const endpoint = namespace === 'inchi' ? 'compound/inchi/cids/JSON' : `compound/${namespace}/${encodeURIComponent(value)}/cids/JSON`;
+  const form = namespace === 'inchi' ? new URLSearchParams({ inchi: value }).toString() : null;
+  console.log(`🌐 Using PubChem endpoint: ${endpoint}`);
+
+  const cidResponse = await fetchFromPubChem(endpoint, form);
+  // PubChem answers some unmatched structures with CID 0
+  const cids = (cidResponse.IdentifierList?.CID || []).filter(Boolean);
+  if (cids.length === 0) {
+    return null;
+  }
+
+  console.log(`✅ Found ${cids.length} CID(s), first ${cids[0]}, for ${identifier} using ${identifierType}`);
+  return { cid: cids[0], endpoint, cids: cids.slice(0, RESOLVE_MAX_CANDIDATES), total_matches: cids.length };
+}
+
+const RESOLVE_DEFAULT_LIMIT = 10;
+const CANDIDATE_PROPERTIES = ['Title', 'MolecularFormula', 'LiteratureCount'];
+const FORMULA_TYPES = ['formula', 'fastformula'];
+
+// PubChem lists name and structure matches by relevance, so that order is kept. Formula matches
+// come back in CID order and are ranked by how often each compound is cited instead.
+async function buildCandidateList(identifier, identifierType) {
+  const resolved = await resolveCidCached(identifier, identifierType);
+  if (!resolved) {
+    return null;
+  }
+
+  const cids = (resolved.cids || [resolved.cid]).map(Number);
+  const rows = await fetchRowsByCid(cids, `property/${CANDIDATE_PROPERTIES.join(',')}`, data => data.PropertyTable?.Properties);
+  const failed = [...rows.values()].find(row => row.status === 'failed');
+  if (failed) {
+    throw failed.error;
+  }
+
+  const found = cids.filter(cid => rows.get(cid).status === 'ok').map(cid => rows.get(cid).row);
+  if (found.length === 0) {
+    return null;
+  }
+  if (FORMULA_TYPES.includes(identifierType)) {
+    found.sort((a, b) => (b.LiteratureCount || 0) - (a.LiteratureCount || 0));
+  }
+
+  return {
+    identifier,
+    identifier_type: identifierType,
+    total_matches: resolved.total_matches || cids.length,
+    candidates: found.map((row, index) => ({
+      rank: index + 1,
+      cid: row.CID,
+      title: row.Title || null,
+      molecular_formula: row.MolecularFormula || null,
+      literature_count: row.LiteratureCount ?? null,
+      thumbnail_url: `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${row.CID}/PNG?image_size=small`,
+      educational_url: `/api/pubchem/compound/${row.CID}/educational`
+    }))
+  };
+}
+
+function candidateCacheKey(identifier, identifierType) {
+  return `candidates:${identifierType}:${identifier}`;
+}
+
+async function loadCandidateList(identifier, identifierType) {
+  const candidateList = await buildCandidateList(identifier, identifierType);
+  if (candidateList) {
+    await cache.set(candidateCacheKey(identifier, identifierType), candidateList);
+  }
+  return candidateList;
+}
+
+async function getCandidateList(identifier, identifierType) {
+  const cacheKey = candidateCacheKey(identifier, identifierType);
+  const cached = await cache.get(cacheKey);
+  return cached || inflight.do(cacheKey, () => loadCandidateList(identifier, identifierType));
+}
+
+// 300 Multiple Choices with the ranked candidates; Location points at the top-ranked one
+function sendMultipleMatches(res, candidateList) {
+  const { identifier, identifier_type: identifierType, total_matches: totalMatches } = candidateList;
+  const candidates = candidateList.candidates.slice(0, RESOLVE_DEFAULT_LIMIT);
+  res.set('Location', candidates[0].educational_url);
+  res.status(300).json({
+    error: 'Multiple matches',
+    message: `"${identifier}" matches ${totalMatches} compounds using ${identifierType} search. Request one of the candidates by CID, or add match=first to use PubChem's first match.`,
+    identifier,
+    identifier_type: identifierType,
+    total_matches: totalMatches,
+    candidates,
+    resolve_url: `/api/resolve?q=${encodeURIComponent(identifier)}&type=${identifierType}`
+  });
+}
+
+// Output field of each ?include= part; structure_3d and synonyms need their own PubChem requests
+const EDUCATIONAL_PART_FIELDS = {
+  properties: 'basic_properties',
+  synonyms: 'synonyms',
+  structure_3d: 'structure_3d',
+  images: 'image_urls',
+  context: 'educational_context'
+};
+
+const EDUCATIONAL_PROPERTIES = [
+  'MolecularFormula',
+  'MolecularWeight',
+  'HBondDonorCount',
+  'HBondAcceptorCount',
+  'HeavyAtomCount',
+  'RotatableBondCount',
+  'XLogP',
+  'TPSA',
+  'Complexity',
+  'Charge'
+];
+
+// ?include= wins; otherwise ?fields= decides which parts are worth fetching; default is everything.
+// The context is derived from the properties, so asking for it fetches them too.
+function selectEducationalParts(include, fields) {
+  let parts = EDUCATIONAL_PARTS;
+  if (include) {
+    parts = validateEducationalParts(include);
+  } else if (fields) {
+    const topLevel = fields.map(field => field.split('.')[0]);
+    parts = EDUCATIONAL_PARTS.filter(part => topLevel.includes(EDUCATIONAL_PART_FIELDS[part]));
+  }
+  if (parts.includes('context') && !parts.includes('properties')) {
+    parts = [...parts, 'properties'];
+  }
+  return EDUCATIONAL_PARTS.filter(part => parts.includes(part));
 }
 
-function extractPharmacologyData(data) {
-  return data;
+// Same for the educational payload, which is cached once with English undergrad context
+function localizeEducationalData(data, locale) {
+  if (isDefaultLocale(locale) || !data.basic_properties || !data.educational_context) {
+    return data;
+  }
+  return { ...data, educational_context: addEducationalContext([data.basic_properties], createTranslator(locale)) };
 }
 
-function extractPropertiesData(data) {
-  return data;
+// Keep only the requested dotted paths; cid and the part report always stay so failures remain visible
+function projectFields(data, fields) {
+  if (!fields) return data;
+
+  const projected = { cid: data.cid, parts: data.parts };
+  fields.forEach(path => {
+    const keys = path.split('.');
+    let source = data;
+    let target = projected;
+    keys.forEach((key, index) => {
+      if (source === null || source === undefined || typeof source !== 'object' || !(key in source)) {
+        source = undefined;
+        return;
+      }
+      source = source[key];
+      if (index === keys.length - 1) {
+        target[key] = source;
+      } else {
+        target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+        target = target[key];
+      }
+    });
+  });
+  return projected;
 }
 
-function addEducationalContext(properties) {
-  if (!properties || !Array.isArray(properties)) return null;
+// view: { fields, synonymGroups } from the query string or batch body
+function presentEducationalData(data, locale, { fields = null, synonymGroups = null } = {}) {
+  const localized = localizeEducationalData(data, locale);
+  const selected = synonymGroups && localized.synonyms
+    ? { ...localized, synonyms: selectSynonymGroups(localized.synonyms, synonymGroups) }
+    : localized;
+  return projectFields(selected, fields);
+}
 
-  return properties.map(prop => {
-    const context = {};
+const MISSING_PART_MESSAGES = {
+  properties: cid => `PubChem returned no computed properties for CID ${cid}`,
+  synonyms: cid => `PubChem lists no synonyms for CID ${cid}`,
+  structure_3d: cid => `PubChem has no 3D conformer for CID ${cid}`
+};
 
-    if (prop.MolecularWeight) {
-      context.molecular_weight_info = "Molecular weight affects drug absorption, distribution, and elimination. Generally, drugs with MW 150-500 Da have optimal properties.";
+// Settle one subrequest into { status, data } so a missing conformer does not sink the whole response.
+// Outages (network errors, 5xx, 429, open circuit) are rethrown so the route can serve stale data or a 503;
+// so are missing replay fixtures, which the route reports as such.
+async function fetchEducationalPart(part, cid, path) {
+  try {
+    return { status: 'ok', data: await fetchFromPubChem(path) };
+  } catch (error) {
+    if (error.status === 404) {
+      console.log(`ℹ️  ${MISSING_PART_MESSAGES[part](cid)}`);
+      return { status: 'missing', message: MISSING_PART_MESSAGES[part](cid) };
     }
+    if (error.code === 'CIRCUIT_OPEN' || error.code === 'FIXTURE_MISSING' || isUpstreamFailure(error)) {
+      throw error;
+    }
+    console.error(`❌ Failed to fetch ${part} for CID ${cid}:`, error.message);
+    return { status: 'failed', message: error.message, ...(error.code ? { code: error.code } : {}) };
+  }
+}
+
+// Synonyms classified into groups; the RN cross-references only confirm CAS numbers, so they are optional
+async function fetchSynonymPart(cid) {
+  const [synonymResult, registry] = await Promise.all([
+    fetchEducationalPart('synonyms', cid, `compound/cid/${cid}/synonyms/JSON`),
+    fetchFromPubChem(`compound/cid/${cid}/xrefs/RN/JSON`).catch(() => null)
+  ]);
+  if (synonymResult.status !== 'ok') {
+    return synonymResult;
+  }
+
+  const synonyms = synonymResult.data?.InformationList?.Information?.[0]?.Synonym || [];
+  const registryNumbers = registry?.InformationList?.Information?.[0]?.RN || [];
+  return { status: 'ok', data: classifySynonyms(synonyms, registryNumbers) };
+}
+
+function educationalImageUrls(cid) {
+  return {
+    '2d_structure': `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/PNG`,
+    '3d_ball_stick': `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/PNG?record_type=3d`,
+    'large_2d': `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/PNG?image_size=large`
+  };
+}
+
+function educationalUrls(cid) {
+  return {
+    pubchem_page: `https://pubchem.ncbi.nlm.nih.gov/compound/${cid}`,
+    sdf_download: `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/SDF`,
+    mol_download: `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid/${cid}/record/SDF/?record_type=3d&response_type=save&response_basename=compound_${cid}`
+  };
+}
+
+// Resolve an identifier and assemble the educational payload; null when nothing matches.
+// The selected parts are fetched concurrently; pubchemClient keeps them within the shared rate budget.
+async function buildEducationalData(identifier, identifierType, parts = EDUCATIONAL_PARTS) {
+  const resolved = await resolveCidCached(identifier, identifierType);
+  if (!resolved) {
+    return null;
+  }
+  const { cid } = resolved;
+  const wants = part => parts.includes(part);
+
+  console.log(`🧪 Fetching ${parts.join(', ') || 'no parts'} for CID: ${cid}`);
+  const [propertyResult, synonymResult, conformerResult] = await Promise.all([
+    wants('properties') ? fetchEducationalPart('properties', cid, `compound/cid/${cid}/property/${EDUCATIONAL_PROPERTIES.join(',')}/JSON`) : null,
+    wants('synonyms') ? fetchSynonymPart(cid) : null,
+    wants('structure_3d') ? fetchEducationalPart('structure_3d', cid, `compound/cid/${cid}/record/JSON?record_type=3d`) : null
+  ]);
+
+  // Compile educational data
+  const educationalData = {
+    cid: parseInt(cid),
+    search_info: {
+      original_identifier: identifier,
+      identifier_type: identifierType,
+      found_via: identifierType !== 'cid' ? `${identifierType} search` : 'direct CID',
+      search_successful: true,
+      pubchem_endpoint_used: resolved.endpoint
+    },
+    parts: {}
+  };
+
+  const record = (part, result, value) => {
+    educationalData.parts[part] = result.status === 'ok' ? { status: 'ok' } : { status: result.status, message: result.message };
+    educationalData[EDUCATIONAL_PART_FIELDS[part]] = result.status === 'ok' ? value : null;
+  };
+
+  if (propertyResult) {
+    record('properties', propertyResult, propertyResult.data?.PropertyTable?.Properties?.[0] || {});
+  }
+  if (synonymResult) {
+    record('synonyms', synonymResult, synonymResult.data);
+  }
+  if (conformerResult) {
+    record('structure_3d', conformerResult, conformerResult.data?.PC_Compounds?.[0] || null);
+  }
+  if (wants('images')) {
+    record('images', { status: 'ok' }, educationalImageUrls(cid));
+  }
+  if (wants('context')) {
+    const context = educationalData.basic_properties
+      ? { status: 'ok' }
+      : { status: propertyResult.status, message: 'The educational context needs the computed properties, which are unavailable' };
+    record('context', context, educationalData.basic_properties && addEducationalContext([educationalData.basic_properties]));
+  }
+
+  educationalData.urls = educationalUrls(cid);
+  educationalData.educational_sections = [
+    'Chemical and Physical Properties',
+    'Safety and Hazards',
+    'Pharmacology and Biochemistry',
+    'Use and Manufacturing',
+    'Environmental Fate',
+    'Literature References'
+  ];
+
+  return educationalData;
+}
+
+// Batch lookups skip 3D conformers, which are large and need one request per compound
+const BATCH_MAX_ITEMS = 100;
+const BATCH_PARTS = ['properties', 'synonyms', 'images', 'context'];
+const BATCH_DEFAULT_PARTS = ['properties', 'images', 'context'];
+
+// Bare strings and numbers use the body's default type
+function normalizeBatchItem(item, defaultType) {
+  if (item !== null && typeof item === 'object') {
+    return { identifier: String(item.identifier ?? ''), type: item.type || defaultType };
+  }
+  return { identifier: String(item), type: defaultType };
+}
+
+// CID lookups rarely change, so batches reuse them across requests
+async function resolveCidCached(identifier, identifierType) {
+  const cacheKey = `resolve:${identifierType}:${identifier}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const resolved = await resolveCid(identifier, identifierType);
+  if (resolved) {
+    await cache.set(cacheKey, resolved);
+  }
+  return resolved;
+}
 
-    if (prop.XLogP !== undefined) {
-      context.xlogp_info = "XLogP measures lipophilicity. Values between 1-3 are often ideal for drug-like compounds. Higher values indicate more lipophilic (fat-loving) molecules.";
+function batchFailure(entry, error) {
+  const notFound = error.status === 400 || error.status === 404;
+  return {
+    ...entry,
+    status: notFound ? 'not_found' : 'failed',
+    error: notFound ? `No compound found for "${entry.identifier}" using ${entry.type} search` : error.message
+  };
+}
+
+// One multi-CID request per operation; when PubChem rejects the list, retry each CID on its own
+// so a single bad CID does not fail the whole batch
+async function fetchRowsByCid(cids, operation, extractRows) {
+  const rows = new Map();
+  try {
+    const data = await fetchFromPubChem(`compound/cid/${cids.join(',')}/${operation}/JSON`);
+    (extractRows(data) || []).forEach(row => rows.set(row.CID, { status: 'ok', row }));
+    cids.forEach(cid => {
+      if (!rows.has(cid)) {
+        rows.set(cid, { status: 'missing', message: `PubChem returned no ${operation.split('/')[0]} for CID ${cid}` });
+      }
+    });
+  } catch (error) {
+    const rejected = error.status === 400 || error.status === 404;
+    if (rejected && cids.length > 1) {
+      const singles = await Promise.all(cids.map(cid => fetchRowsByCid([cid], operation, extractRows)));
+      singles.forEach(single => single.forEach((value, cid) => rows.set(cid, value)));
+    } else {
+      cids.forEach(cid => rows.set(cid, { status: rejected ? 'missing' : 'failed', message: error.message, error }));
     }
+  }
+  return rows;
+}
 
-    if (prop.TPSA) {
-      context.tpsa_info = "Topological Polar Surface Area affects cell membrane permeability. TPSA < 140 Ų is often associated with good oral bioavailability.";
+// Fetch the parts for a group of resolved items and emit one result per item
+async function fetchBatchWave(entries, { parts, translate, fields, synonymGroups, emit }) {
+  if (entries.length === 0) return;
+
+  const cids = [...new Set(entries.map(entry => entry.cid))];
+  const [properties, synonyms, registryNumbers] = await Promise.all([
+    parts.includes('properties')
+      ? fetchRowsByCid(cids, `property/${EDUCATIONAL_PROPERTIES.join(',')}`, data => data.PropertyTable?.Properties)
+      : null,
+    parts.includes('synonyms')
+      ? fetchRowsByCid(cids, 'synonyms', data => data.InformationList?.Information)
+      : null,
+    parts.includes('synonyms')
+      ? fetchRowsByCid(cids, 'xrefs/RN', data => data.InformationList?.Information)
+      : null
+  ]);
+
+  entries.forEach(entry => {
+    const propertyRow = properties && properties.get(entry.cid);
+    if (propertyRow && propertyRow.status !== 'ok') {
+      emit({
+        ...entry,
+        status: propertyRow.status === 'missing' ? 'not_found' : 'failed',
+        error: propertyRow.status === 'missing' ? `PubChem has no compound with CID ${entry.cid}` : propertyRow.message
+      });
+      return;
     }
 
-    if (prop.HBondDonorCount !== undefined || prop.HBondAcceptorCount !== undefined) {
-      context.hydrogen_bonding_info = "Hydrogen bonding affects solubility and biological activity. Lipinski's Rule suggests ≤5 donors and ≤10 acceptors for drug-like compounds.";
+    const data = { cid: entry.cid, parts: {} };
+    if (propertyRow) {
+      data.parts.properties = { status: 'ok' };
+      data.basic_properties = propertyRow.row;
+    }
+    if (synonyms) {
+      const synonymRow = synonyms.get(entry.cid);
+      data.parts.synonyms = synonymRow.status === 'ok' ? { status: 'ok' } : { status: synonymRow.status, message: synonymRow.message };
+      const registryRow = registryNumbers.get(entry.cid);
+      data.synonyms = synonymRow.status === 'ok'
+        ? selectSynonymGroups(classifySynonyms(synonymRow.row.Synonym, registryRow.status === 'ok' ? registryRow.row.RN : []), synonymGroups)
+        : null;
     }
+    if (parts.includes('images')) {
+      data.parts.images = { status: 'ok' };
+      data.image_urls = educationalImageUrls(entry.cid);
+    }
+    if (parts.includes('context')) {
+      data.parts.context = { status: 'ok' };
+      data.educational_context = addEducationalContext([propertyRow.row], translate);
+    }
+    data.urls = educationalUrls(entry.cid);
+
+    emit({ ...entry, status: 'ok', data: projectFields(data, fields) });
+  });
+}
+
+// Direct CIDs are fetched straight away while names, SMILES and formulas are still resolving;
+// each group then needs a single multi-CID request per part
+async function runEducationalBatch(items, options) {
+  const direct = [];
+  const lookups = [];
 
-    return { ...prop, educational_context: context };
+  items.forEach((item, index) => {
+    const entry = { index, identifier: item.identifier, type: item.type };
+    try {
+      validateIdentifierType(item.type);
+      if (item.type === 'cas') {
+        validateCasNumber(item.identifier);
+      }
+      if (item.type === 'cid') {
+        validateCid(item.identifier, 'identifier');
+        direct.push({ ...entry, cid: Number(item.identifier) });
+      } else {
+        lookups.push(entry);
+      }
+    } catch (error) {
+      options.emit({ ...entry, status: 'invalid', error: error.message });
+    }
   });
+
+  const resolvedLookups = Promise.all(lookups.map(async entry => {
+    try {
+      const resolved = await resolveCidCached(entry.identifier, entry.type);
+      if (resolved) {
+        return { ...entry, cid: Number(resolved.cid) };
+      }
+      options.emit({ ...entry, status: 'not_found', error: `No compound found for "${entry.identifier}" using ${entry.type} search` });
+    } catch (error) {
+      options.emit(batchFailure(entry, error));
+    }
+    return null;
+  }));
+
+  await Promise.all([
+    fetchBatchWave(direct, options),
+    resolvedLookups.then(entries => fetchBatchWave(entries.filter(Boolean), options))
+  ]);
+}
+
+const COMPARE_MAX_IDS = 10;
+
+// Resolve every identifier, then fetch all property rows in one multi-CID request.
+// Returns { identifier_type, compounds } or { not_found } with the identifiers PubChem does not know.
+async function buildComparisonInput(ids, identifierType) {
+  const resolved = await Promise.all(ids.map(async identifier => {
+    try {
+      const match = await resolveCidCached(identifier, identifierType);
+      return { identifier, cid: match ? Number(match.cid) : null };
+    } catch (error) {
+      if (error.status === 400 || error.status === 404) {
+        return { identifier, cid: null };
+      }
+      throw error;
+    }
+  }));
+
+  const cids = [...new Set(resolved.filter(entry => entry.cid).map(entry => entry.cid))];
+  const rows = cids.length > 0
+    ? await fetchRowsByCid(cids, `property/${COMPARE_PROPERTIES.join(',')}`, data => data.PropertyTable?.Properties)
+    : new Map();
+  const failed = [...rows.values()].find(row => row.status === 'failed');
+  if (failed) {
+    throw failed.error;
+  }
+
+  const notFound = resolved.filter(entry => !entry.cid || rows.get(entry.cid).status !== 'ok');
+  if (notFound.length > 0) {
+    return { not_found: notFound.map(entry => entry.identifier) };
+  }
+
+  return {
+    identifier_type: identifierType,
+    compounds: resolved.map(entry => ({ ...entry, properties: rows.get(entry.cid).row }))
+  };
+}
+
+function presentComparison(comparison, locale) {
+  return {
+    identifier_type: comparison.identifier_type,
+    language: locale.language,
+    level: locale.level,
+    ...compareCompounds(comparison.compounds, createTranslator(locale))
+  };
+}
+
+// Resolve an identifier and run the drug-likeness filters on its computed properties
+async function buildDruglikenessReport(identifier, identifierType) {
+  const resolved = await resolveCidCached(identifier, identifierType);
+  if (!resolved) {
+    return null;
+  }
+  const { cid } = resolved;
+
+  console.log(`💊 Fetching drug-likeness properties for CID: ${cid}`);
+  const propertyData = await fetchFromPubChem(`compound/cid/${cid}/property/${DRUGLIKENESS_PROPERTIES.join(',')}/JSON`);
+  const properties = propertyData.PropertyTable?.Properties?.[0];
+  if (!properties) {
+    return null;
+  }
+
+  return {
+    cid: parseInt(cid),
+    search_info: {
+      original_identifier: identifier,
+      identifier_type: identifierType,
+      pubchem_endpoint_used: resolved.endpoint
+    },
+    ...evaluateDruglikeness(properties)
+  };
+}
+
+// SDF for a CID from the entry GET /api/pubchem/compound/cid/{cid}/SDF caches, so structures already
+// viewed convert without PubChem. Misses are fetched and cached under the same key; when PubChem is
+// unreachable an expired entry still serves.
+async function loadCidSdf(cid, recordType) {
+  const fullPath = recordType ? `compound/cid/${cid}/SDF?record_type=${recordType}` : `compound/cid/${cid}/SDF`;
+  const cacheKey = `pubchem:${fullPath}`;
+  const entry = await cache.getEntry(cacheKey, { allowStale: true });
+  if (entry && !entry.stale) {
+    return { text: String(proxyCacheBody(entry.value)), cacheStatus: 'HIT' };
+  }
+
+  try {
+    const text = await fetchFromPubChem(fullPath);
+    await cache.set(cacheKey, { data: Buffer.from(text).toString('base64'), encoding: 'base64', contentType: FORMATS.sdf.contentType });
+    return { text, cacheStatus: 'MISS' };
+  } catch (error) {
+    if (entry && isUpstreamFailure(error)) {
+      console.log(`♻️  Converting stale SDF stored at ${new Date(entry.storedAt).toISOString()}`);
+      cache.recordStaleHit();
+      return { text: String(proxyCacheBody(entry.value)), cacheStatus: 'STALE' };
+    }
+    throw error;
+  }
 }
 
 // 📊 Initialize analytics system on startup
@@ -0,0 +1,112 @@
+// listkey-jobs.js - Polling for PubChem's asynchronous ListKey operations (substructure, superstructure, ...)
+
+const crypto = require('crypto');
+
+// Search types whose input spec has three segments: compound/{search}/{namespace}/{value}
+const SEARCH_INPUTS = new Set([
+  'substructure',
+  'superstructure',
+  'similarity',
+  'identity',
+  'fastsubstructure',
+  'fastsuperstructure',
+  'fastsimilarity_2d',
+  'fastsimilarity_3d',
+  'fastidentity'
+]);
+
+const JOB_TTL_SECONDS = 3600;
+const MIN_POLL_INTERVAL_MS = 1000;
+const MAX_POLL_INTERVAL_MS = 5000;
+
+// Build compound/listkey/{key}/{operation}/{output} from the path that started the search, keeping its
+// query options (MaxRecords, image_size, ...). POSTed searches carry the input value in the body, so
+// their input spec is one segment shorter.
+function buildListKeyPath(originalPath, listKey, valueInBody = false) {
+  const [pathPart, query] = originalPath.split('?');
+  const segments = pathPart.split('/').filter(Boolean);
+  const domain = segments[0] || 'compound';
+  const inputLength = (SEARCH_INPUTS.has(segments[1]) ? 3 : 2) - (valueInBody ? 1 : 0);
+  const tail = segments.slice(1 + inputLength);
+  const pollPath = `${domain}/listkey/${listKey}/${tail.length > 0 ? tail.join('/') : 'cids/JSON'}`;
+
+  return query ? `${pollPath}?${query}` : pollPath;
+}
+
+class ListKeyJobs {
+  constructor({ client, cache }) {
+    this.client = client;
+    this.cache = cache;
+  }
+
+  jobKey(jobId) {
+    return `job:${jobId}`;
+  }
+
+  // Persist a job in the data cache so any instance can answer /api/jobs/{id}
+  async createJob({ listKey, originalPath, valueInBody = false, resultCacheKey, message }) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      list_key: listKey,
+      original_path: originalPath,
+      poll_path: buildListKeyPath(originalPath, listKey, valueInBody),
+      result_cache_key: resultCacheKey,
+      status: 'running',
+      message: message || null,
+      created_at: new Date().toISOString(),
+      result: null
+    };
+    await this.cache.set(this.jobKey(job.id), job, JOB_TTL_SECONDS);
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.cache.get(this.jobKey(jobId));
+  }
+
+  async saveJob(job) {
+    await this.cache.set(this.jobKey(job.id), job, JOB_TTL_SECONDS);
+  }
+
+  // One poll against PubChem; resolves { done: false } while the ListKey is still running
+  async pollOnce(pollPath) {
+    const response = await this.client.fetchPug(pollPath, { accept: '*/*' });
+    const contentType = response.headers.get('content-type') || 'application/json';
+
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      if (data.Waiting) {
+        return { done: false, message: data.Waiting.Message || null };
+      }
+      return { done: true, ok: response.ok, status: response.status, contentType, data };
+    }
+
+    const bytes = await response.buffer();
+    return {
+      done: true,
+      ok: response.ok,
+      status: response.status,
+      contentType,
+      data: bytes.toString('base64'),
+      encoding: 'base64'
+    };
+  }
+
+  // Poll with growing intervals until the results are ready or maxWaitMs runs out
+  async waitForResult(pollPath, maxWaitMs) {
+    const deadline = Date.now() + maxWaitMs;
+    let interval = MIN_POLL_INTERVAL_MS;
+
+    while (Date.now() + interval <= deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      console.log(`⏳ Polling ListKey: ${pollPath}`);
+      const result = await this.pollOnce(pollPath);
+      if (result.done) return result;
+      interval = Math.min(MAX_POLL_INTERVAL_MS, Math.round(interval * 1.5));
+    }
+
+    return { done: false };
+  }
+}
+
+module.exports = ListKeyJobs;
@@ -0,0 +1,114 @@
+// molecule.js - The molecule model shared by the structure parsers and writers
+// A molecule is { title, atoms: [{ element, x, y, z, charge, hydrogen }], bonds: [{ from, to, order }], properties };
+// bond ends are 0-based atom indices, order is 1-3, 4 for aromatic, or null when unknown,
+// and properties holds SDF data items (name -> text).
+
+const ELEMENT_SYMBOLS = [
+  null,
+  'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr',
+  'Rb', 'Sr', 'Y', 'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd', 'In', 'Sn', 'Sb', 'Te', 'I', 'Xe',
+  'Cs', 'Ba', 'La', 'Ce', 'Pr', 'Nd', 'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy', 'Ho', 'Er', 'Tm', 'Yb', 'Lu',
+  'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt', 'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn',
+  'Fr', 'Ra', 'Ac', 'Th', 'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm', 'Bk', 'Cf', 'Es', 'Fm', 'Md', 'No', 'Lr',
+  'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds', 'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og'
+];
+
+const SYMBOL_LOOKUP = new Map(ELEMENT_SYMBOLS.filter(Boolean).map(symbol => [symbol.toUpperCase(), symbol]));
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function roundCoordinate(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function createAtom(element, x, y, z, charge = 0) {
+  return {
+    element,
+    x: roundCoordinate(x),
+    y: roundCoordinate(y),
+    z: roundCoordinate(z),
+    charge,
+    hydrogen: element === 'H'
+  };
+}
+
+// "CL", "cl" and "Cl" -> "Cl"; deuterium and tritium count as hydrogen. null for anything that is not an element.
+function elementSymbol(text) {
+  const upper = String(text).trim().toUpperCase();
+  if (upper === 'D' || upper === 'T') return 'H';
+  return SYMBOL_LOOKUP.get(upper) || null;
+}
+
+/**
+ * Error for input that cannot be parsed, pointing at the 1-based line and the field that failed.
+ * Line is null for inputs without lines (a JSON molecule object), where the field is a path like atoms[3].x.
+ */
+function parseError(message, { line = null, field = null } = {}) {
+  const where = [line !== null ? `line ${line}` : null, field ? `field "${field}"` : null].filter(Boolean).join(', ');
+  const error = new Error(where ? `${where}: ${message}` : message);
+  error.code = 'PARSE_ERROR';
+  error.status = 400;
+  error.line = line;
+  error.field = field;
+  error.reason = message;
+  return error;
+}
+
+// Line-based formats: split once, then read fields by 0-based line index; errors report lines 1-based
+function splitLines(text) {
+  return String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+// Index of the last line with content, -1 for blank input; record loops stop there
+function lastContentLine(lines) {
+  let index = lines.length - 1;
+  while (index >= 0 && !lines[index].trim()) index--;
+  return index;
+}
+
+function requireLine(lines, index, field) {
+  if (index >= lines.length) {
+    throw parseError(`unexpected end of input, expected the ${field}`, { line: index + 1, field });
+  }
+  return lines[index];
+}
+
+function parseNumber(text, index, field) {
+  const value = text.trim();
+  if (!NUMBER_PATTERN.test(value)) {
+    throw parseError(`expected a number, got "${value}"`, { line: index + 1, field });
+  }
+  return Number(value);
+}
+
+function parseInteger(text, index, field) {
+  const value = text.trim();
+  if (!INTEGER_PATTERN.test(value)) {
+    throw parseError(`expected an integer, got "${value}"`, { line: index + 1, field });
+  }
+  return Number(value);
+}
+
+function parseElement(text, index, field) {
+  const symbol = text.trim();
+  const element = elementSymbol(symbol);
+  if (!element) {
+    throw parseError(`"${symbol}" is not an element symbol`, { line: index + 1, field });
+  }
+  return element;
+}
+
+module.exports = {
+  ELEMENT_SYMBOLS,
+  createAtom,
+  elementSymbol,
+  parseError,
+  splitLines,
+  lastContentLine,
+  requireLine,
+  parseNumber,
+  parseInteger,
+  parseElement
+};
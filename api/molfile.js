@@ -0,0 +1,280 @@
+// molfile.js - Parser for MDL molfiles (V2000 and V3000) and SD files, without any network access
+// Line numbers in errors are 1-based and count from the start of the whole input, so a problem in the
+// third record of an SD file points at its line in the uploaded text.
+
+const {
+  createAtom,
+  parseError,
+  splitLines,
+  lastContentLine,
+  requireLine,
+  parseNumber,
+  parseInteger,
+  parseElement
+} = require('./molecule');
+
+// V2000 atom block charge codes; 4 is a doublet radical and carries no charge
+const V2000_CHARGES = { 0: 0, 1: 3, 2: 2, 3: 1, 4: 0, 5: -1, 6: -2, 7: -3 };
+
+// Bond types 1-4 map to orders; query types (any, single/double, ...) have no plain order
+const BOND_ORDERS = { 1: 1, 2: 2, 3: 3, 4: 4 };
+
+function checkAtomReference(number, atomCount, index, field) {
+  if (number < 1 || number > atomCount) {
+    throw parseError(`atom ${number} does not exist (the structure has ${atomCount} atoms)`, { line: index + 1, field });
+  }
+  return number - 1;
+}
+
+// Fixed-column atom and bond blocks, then the property block up to M  END.
+// Query atoms (A, Q, *) and R-groups have no element and are rejected like any unknown symbol.
+function parseV2000(lines, countsIndex, title) {
+  const counts = lines[countsIndex];
+  const atomCount = parseInteger(counts.slice(0, 3), countsIndex, 'atom count');
+  const bondCount = parseInteger(counts.slice(3, 6), countsIndex, 'bond count');
+
+  const atoms = [];
+  for (let i = 0; i < atomCount; i++) {
+    const index = countsIndex + 1 + i;
+    const text = requireLine(lines, index, 'atom block');
+    const chargeCode = text.slice(36, 39).trim() ? parseInteger(text.slice(36, 39), index, 'charge') : 0;
+    if (V2000_CHARGES[chargeCode] === undefined) {
+      throw parseError(`unknown charge code ${chargeCode} (expected 0-7)`, { line: index + 1, field: 'charge' });
+    }
+    atoms.push(createAtom(
+      parseElement(text.slice(31, 34), index, 'symbol'),
+      parseNumber(text.slice(0, 10), index, 'x'),
+      parseNumber(text.slice(10, 20), index, 'y'),
+      parseNumber(text.slice(20, 30), index, 'z'),
+      V2000_CHARGES[chargeCode]
+    ));
+  }
+
+  const bonds = [];
+  for (let i = 0; i < bondCount; i++) {
+    const index = countsIndex + 1 + atomCount + i;
+    const text = requireLine(lines, index, 'bond block');
+    const from = checkAtomReference(parseInteger(text.slice(0, 3), index, 'first atom'), atomCount, index, 'first atom');
+    const to = checkAtomReference(parseInteger(text.slice(3, 6), index, 'second atom'), atomCount, index, 'second atom');
+    const type = parseInteger(text.slice(6, 9), index, 'bond type');
+    bonds.push({ from, to, order: BOND_ORDERS[type] || null });
+  }
+
+  // The first M  CHG line replaces every charge from the atom block
+  let chargesReset = false;
+  let index = countsIndex + 1 + atomCount + bondCount;
+  for (; ; index++) {
+    const text = requireLine(lines, index, 'M  END line');
+    if (text.startsWith('M  END')) break;
+    if (!text.startsWith('M  CHG')) continue;
+
+    if (!chargesReset) {
+      atoms.forEach(atom => { atom.charge = 0; });
+      chargesReset = true;
+    }
+    const entries = text.slice(6).trim().split(/\s+/);
+    const entryCount = parseInteger(entries[0] || '', index, 'M  CHG count');
+    if (entries.length !== 1 + entryCount * 2) {
+      throw parseError(`M  CHG announces ${entryCount} charges but lists ${Math.floor((entries.length - 1) / 2)}`, { line: index + 1, field: 'M  CHG count' });
+    }
+    for (let k = 0; k < entryCount; k++) {
+      const atom = checkAtomReference(parseInteger(entries[1 + k * 2], index, 'M  CHG atom'), atomCount, index, 'M  CHG atom');
+      atoms[atom].charge = parseInteger(entries[2 + k * 2], index, 'M  CHG charge');
+    }
+  }
+
+  return { molecule: { title, atoms, bonds, properties: {} }, next: index + 1 };
+}
+
+// "M  V30 ..." lines joined across trailing-dash continuations; each keeps the line number it started on
+function readV3000Lines(lines, start) {
+  const entries = [];
+  let index = start;
+  for (; ; index++) {
+    const text = requireLine(lines, index, 'M  END line');
+    if (text.startsWith('M  END')) break;
+    if (!text.startsWith('M  V30 ')) {
+      throw parseError('expected an "M  V30" line inside a V3000 connection table', { line: index + 1, field: 'M  V30' });
+    }
+
+    const lineNumber = index + 1;
+    let content = text.slice(7).trimEnd();
+    while (content.endsWith('-')) {
+      index++;
+      const continuation = requireLine(lines, index, 'continued M  V30 line');
+      content = content.slice(0, -1) + continuation.slice(7).trimEnd();
+    }
+    entries.push({ lineNumber, content: content.trim() });
+  }
+  return { entries, next: index + 1 };
+}
+
+// Whitespace-separated, keeping quoted strings and parenthesised lists such as ENDPTS=(3 1 2 3) whole
+function tokenize(content) {
+  return content.match(/"[^"]*"|\S*\([^)]*\)|\S+/g) || [];
+}
+
+function keywordValues(tokens) {
+  return Object.fromEntries(tokens.filter(token => token.includes('=')).map(token => {
+    const [key, ...value] = token.split('=');
+    return [key.toUpperCase(), value.join('=')];
+  }));
+}
+
+function parseV3000(lines, start, title) {
+  const { entries, next } = readV3000Lines(lines, start);
+  const atoms = [];
+  const bonds = [];
+  const atomIndexByNumber = new Map();
+  let block = null;
+  let counts = null;
+  let sawCtab = false;
+
+  entries.forEach(({ lineNumber, content }) => {
+    const index = lineNumber - 1;
+    const tokens = tokenize(content);
+    const keyword = (tokens[0] || '').toUpperCase();
+
+    if (keyword === 'BEGIN') {
+      block = (tokens[1] || '').toUpperCase();
+      if (block === 'CTAB') sawCtab = true;
+      return;
+    }
+    if (keyword === 'END') {
+      block = (tokens[1] || '').toUpperCase() === 'CTAB' ? null : 'CTAB';
+      return;
+    }
+
+    if (block === 'CTAB' && keyword === 'COUNTS') {
+      counts = {
+        line: lineNumber,
+        atoms: parseInteger(tokens[1] || '', index, 'atom count'),
+        bonds: parseInteger(tokens[2] || '', index, 'bond count')
+      };
+      return;
+    }
+
+    if (block === 'ATOM') {
+      // index type x y z aamap [KEY=value ...]
+      if (tokens.length < 6) {
+        throw parseError('an atom needs an index, element, x, y, z and atom-atom mapping', { line: lineNumber, field: 'atom' });
+      }
+      const number = parseInteger(tokens[0], index, 'atom index');
+      const charge = keywordValues(tokens.slice(6)).CHG;
+      atomIndexByNumber.set(number, atoms.length);
+      atoms.push(createAtom(
+        parseElement(tokens[1].replace(/"/g, ''), index, 'type'),
+        parseNumber(tokens[2], index, 'x'),
+        parseNumber(tokens[3], index, 'y'),
+        parseNumber(tokens[4], index, 'z'),
+        charge !== undefined ? parseInteger(charge, index, 'CHG') : 0
+      ));
+      return;
+    }
+
+    if (block === 'BOND') {
+      // index type atom1 atom2 [KEY=value ...]
+      if (tokens.length < 4) {
+        throw parseError('a bond needs an index, type and two atoms', { line: lineNumber, field: 'bond' });
+      }
+      const type = parseInteger(tokens[1], index, 'bond type');
+      const [from, to] = [[tokens[2], 'first atom'], [tokens[3], 'second atom']].map(([token, field]) => {
+        const number = parseInteger(token, index, field);
+        if (!atomIndexByNumber.has(number)) {
+          throw parseError(`atom ${number} is not defined in the atom block`, { line: lineNumber, field });
+        }
+        return atomIndexByNumber.get(number);
+      });
+      bonds.push({ from, to, order: BOND_ORDERS[type] || null });
+    }
+    // SGROUP, COLLECTION and 3D feature blocks carry nothing the molecule model keeps
+  });
+
+  if (!sawCtab) {
+    throw parseError('missing "M  V30 BEGIN CTAB"', { line: start + 1, field: 'M  V30' });
+  }
+  if (!counts) {
+    throw parseError('missing the V3000 COUNTS line', { line: start + 1, field: 'counts' });
+  }
+  if (counts.atoms !== atoms.length || counts.bonds !== bonds.length) {
+    throw parseError(`COUNTS announces ${counts.atoms} atoms and ${counts.bonds} bonds but the blocks hold ${atoms.length} and ${bonds.length}`, { line: counts.line, field: 'counts' });
+  }
+
+  return { molecule: { title, atoms, bonds, properties: {} }, next };
+}
+
+// Header (title, program, comment), counts line, then the version-specific connection table
+function parseConnectionTable(lines, start) {
+  const title = requireLine(lines, start, 'title line').trim();
+  const countsIndex = start + 3;
+  const counts = requireLine(lines, countsIndex, 'counts line');
+  const version = counts.slice(33, 39).trim().toUpperCase() || 'V2000';
+
+  if (version === 'V3000') return parseV3000(lines, countsIndex + 1, title || null);
+  if (version !== 'V2000') {
+    throw parseError(`unsupported molfile version "${version}" (expected V2000 or V3000)`, { line: countsIndex + 1, field: 'version' });
+  }
+  return parseV2000(lines, countsIndex, title || null);
+}
+
+// "> <MOLECULAR_WEIGHT>" headers, each followed by value lines up to a blank line
+function parseDataItems(lines, start) {
+  const properties = {};
+  let index = start;
+  while (index < lines.length && !lines[index].startsWith('$$$$')) {
+    const header = /^>.*?<([^>]+)>/.exec(lines[index]);
+    if (!header) {
+      if (lines[index].trim()) {
+        throw parseError(`expected a data header like "> <NAME>" or "$$$$", got "${lines[index].trim().slice(0, 40)}"`, { line: index + 1, field: 'data header' });
+      }
+      index++;
+      continue;
+    }
+
+    const value = [];
+    index++;
+    while (index < lines.length && lines[index].trim() && !lines[index].startsWith('$$$$')) {
+      value.push(lines[index]);
+      index++;
+    }
+    properties[header[1]] = value.join('\n');
+  }
+  return { properties, next: index + 1 };
+}
+
+/**
+ * Parse an SD file (or a single molfile, which is an SD file with one record and no data items).
+ * Returns an array of molecules; data items end up in each molecule's properties.
+ */
+function parseSDF(text) {
+  const lines = splitLines(text);
+  const last = lastContentLine(lines);
+  if (last < 0) {
+    throw parseError('the input is empty', { line: 1 });
+  }
+
+  const molecules = [];
+  let index = 0;
+  while (index <= last) {
+    const { molecule, next } = parseConnectionTable(lines, index);
+    const data = parseDataItems(lines, next);
+    molecule.properties = data.properties;
+    molecules.push(molecule);
+    index = data.next;
+  }
+  return molecules;
+}
+
+// A single molfile; trailing data items are allowed, further records are not
+function parseMolfile(text) {
+  const molecules = parseSDF(text);
+  if (molecules.length > 1) {
+    throw parseError(`expected one structure but found ${molecules.length}; send multi-record files as sdf`, { line: 1 });
+  }
+  return molecules[0];
+}
+
+module.exports = {
+  parseSDF,
+  parseMolfile
+};
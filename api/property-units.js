@@ -0,0 +1,220 @@
+// property-units.js - Parses PubChem's free-text experimental values ("138-140 °C", "1.4 g/cu cm at 25 °C")
+// into numbers or ranges in common lab units, with the SI equivalent alongside
+
+const NUMBER = '[-+]?\\d+(?:\\.\\d+)?(?:\\s*[x×]\\s*10\\^?\\s*[-+]?\\d+|e[-+]?\\d+)?';
+const RANGE_PATTERN = new RegExp(`(${NUMBER})(?:\\s*(?:-|to)\\s*(${NUMBER}))?`, 'gi');
+
+// Digit groups such as "4,600" or "1,200,000"; "1,3-dichloro" or "2,4,6" are locants and stay as they are
+const DIGIT_GROUPS_PATTERN = /(?<![\d.,])\d{1,3}(?:,\d{3})+(?![\d,])/g;
+
+// "1.35 at 20 °C/4 °C": a density quoted against water at 4 °C, i.e. a unitless relative density
+const RELATIVE_DENSITY_PATTERN = /relative density|specific gravity|°c ?\/ ?4 ?°c/;
+
+// Each quantity converts every known unit to its lab unit; toSI maps lab values to SI
+const QUANTITIES = {
+  temperature: {
+    labUnit: '°C',
+    siUnit: 'K',
+    units: [
+      { pattern: /°c|deg c|degrees c|celsius/, toLab: value => value },
+      { pattern: /°f|deg f|degrees f|fahrenheit/, toLab: value => (value - 32) * 5 / 9 },
+      { pattern: /°k|\bk\b|kelvin/, toLab: value => value - 273.15 }
+    ],
+    toSI: value => value + 273.15
+  },
+  density: {
+    labUnit: 'g/cm³',
+    siUnit: 'kg/m³',
+    units: [
+      { pattern: /(?<![a-z])g\/(cm3|ml|cc\b)|kg\/l\b/, toLab: value => value },
+      { pattern: /kg\/m3|(?<![a-z])g\/l\b/, toLab: value => value / 1000 },
+      { pattern: /lb\/ft3|lb\/cu ft/, toLab: value => value * 0.0160185 },
+      { pattern: /lb\/gal/, toLab: value => value * 0.119826 }
+    ],
+    toSI: value => value * 1000
+  },
+  pressure: {
+    labUnit: 'mmHg',
+    siUnit: 'Pa',
+    units: [
+      { pattern: /mmhg|torr/, toLab: value => value },
+      { pattern: /kpa/, toLab: value => value * 1000 / 133.322 },
+      { pattern: /hpa|mbar/, toLab: value => value * 100 / 133.322 },
+      { pattern: /\bpa\b/, toLab: value => value / 133.322 },
+      { pattern: /\bbar\b/, toLab: value => value * 100000 / 133.322 },
+      { pattern: /\batm\b/, toLab: value => value * 760 },
+      { pattern: /\bpsi/, toLab: value => value * 6894.76 / 133.322 }
+    ],
+    toSI: value => value * 133.322
+  },
+  // mg/mL, g/L and kg/m³ are numerically equal
+  concentration: {
+    labUnit: 'mg/mL',
+    siUnit: 'kg/m³',
+    units: [
+      { pattern: /mg\/ml|(?<![a-z])g\/l\b|kg\/m3/, toLab: value => value },
+      { pattern: /ug\/ml|mg\/l\b|ppm/, toLab: value => value / 1000 },
+      { pattern: /ug\/l\b|ppb/, toLab: value => value / 1000000 },
+      { pattern: /(?<![a-z])g\/100 ?ml/, toLab: value => value * 10 },
+      { pattern: /mg\/100 ?ml/, toLab: value => value / 100 },
+      { pattern: /(?<![a-z])g\/ml/, toLab: value => value * 1000 }
+    ],
+    toSI: value => value
+  }
+};
+
+const QUALIFIERS = [
+  { pattern: /^(greater than or equal to|>=|≥)\s*/i, symbol: '>=' },
+  { pattern: /^(less than or equal to|<=|≤)\s*/i, symbol: '<=' },
+  { pattern: /^(greater than|more than|above|>)\s*/i, symbol: '>' },
+  { pattern: /^(less than|below|<)\s*/i, symbol: '<' },
+  { pattern: /^(approximately|approx\.?|about|ca\.?|~)\s*/i, symbol: '~' }
+];
+
+// Lower-case and spell units one way ("g/cu cm" -> "g/cm3", "deg C" -> "°c", "µg" -> "ug")
+function normalizeText(text) {
+  return text
+    .replace(/[−–]/g, '-')
+    .replace(DIGIT_GROUPS_PATTERN, digits => digits.replace(/,/g, ''))
+    .toLowerCase()
+    .replace(/[µμ]/g, 'u')
+    .replace(/cu\s*cm|cubic\s*cm|cm\^?3|cm³/g, 'cm3')
+    .replace(/cu\s*m\b|m\^?3\b|m³/g, 'm3')
+    .replace(/mm\s*hg/g, 'mmhg')
+    .replace(/°\s*/g, '°')
+    .replace(/\bdeg(rees)?\s*([cfk])\b/g, '°$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseNumber(text) {
+  const compact = text.replace(/\s+/g, '');
+  const scientific = /^([-+]?\d+(?:\.\d+)?)[x×]10\^?([-+]?\d+)$/i.exec(compact);
+  if (scientific) {
+    return parseFloat(scientific[1]) * Math.pow(10, parseInt(scientific[2], 10));
+  }
+  return parseFloat(compact);
+}
+
+function round(value) {
+  return value === null ? null : Number(value.toPrecision(6));
+}
+
+// The unit written right after a number, if it is one of the quantity's units
+function unitAt(text, quantity) {
+  const rest = text.trimStart();
+  return quantity.units.find(candidate => {
+    const match = candidate.pattern.exec(rest);
+    return match !== null && match.index === 0;
+  });
+}
+
+// Find the first number (or range) directly followed by one of the quantity's units. Numbers
+// elsewhere in the text (locants, footnotes, conditions) are skipped; null when no number has a unit,
+// unless a fallbackUnit is given for values that are unitless by definition.
+function parseQuantity(text, quantity, fallbackUnit = null) {
+  const matches = Array.from(text.matchAll(RANGE_PATTERN));
+  let match = matches.find(candidate => unitAt(text.slice(candidate.index + candidate[0].length), quantity));
+  let unit = match && unitAt(text.slice(match.index + match[0].length), quantity);
+  if (!match && fallbackUnit && matches.length > 0) {
+    match = matches[0];
+    unit = fallbackUnit;
+  }
+  if (!match) return null;
+
+  const first = parseNumber(match[1]);
+  const second = match[2] !== undefined ? parseNumber(match[2]) : null;
+
+  return {
+    min: second !== null ? Math.min(first, second) : first,
+    max: second !== null ? Math.max(first, second) : first,
+    isRange: second !== null && second !== first,
+    unit
+  };
+}
+
+function parseConditions(text) {
+  const conditions = {};
+
+  const temperature = parseQuantity(text, QUANTITIES.temperature);
+  if (temperature) {
+    conditions.temperature = { value: round(temperature.unit.toLab(temperature.min)), unit: '°C' };
+  }
+
+  const pressureText = (/([-+]?\d+(?:\.\d+)?)\s*(mmhg|torr|kpa|hpa|mbar|pa|bar|atm|psi)\b/.exec(text) || [])[0];
+  if (pressureText) {
+    const pressure = parseQuantity(pressureText, QUANTITIES.pressure);
+    conditions.pressure = { value: round(pressure.unit.toLab(pressure.min) * 133.322 / 1000), unit: 'kPa' };
+  }
+
+  return Object.keys(conditions).length > 0 ? conditions : null;
+}
+
+/**
+ * Parse one experimental value string for a quantity (temperature, density, pressure, concentration).
+ * Unparseable strings still come back with value: null so the original text is never lost.
+ */
+function parseMeasurement(original, quantityName) {
+  const quantity = QUANTITIES[quantityName];
+  // Drop bracketed asides such as "(NTP, 1992)" or "(water = 1)" before looking for numbers
+  let text = normalizeText(original.replace(/\([^)]*\)/g, ' '));
+  const relativeDensity = quantityName === 'density' && RELATIVE_DENSITY_PATTERN.test(text);
+
+  const result = {
+    original,
+    qualifier: null,
+    value: null,
+    range: null,
+    unit: quantity.labUnit,
+    si: null,
+    conditions: null
+  };
+
+  // "at 25 °C", "@ 760 mm Hg" describe conditions, not the value itself
+  const conditionsMatch = /\s(?:at|@)\s(.*)$/.exec(` ${text}`);
+  if (conditionsMatch) {
+    result.conditions = parseConditions(conditionsMatch[1]);
+    text = ` ${text}`.slice(0, conditionsMatch.index).trim();
+  }
+
+  // "1 g dissolves in 300 mL water" style solubility statements
+  if (quantityName === 'concentration') {
+    const ratio = /([-+]?\d+(?:\.\d+)?)\s*g\s*(?:dissolves\s*)?in\s*(?:about\s*)?(\d+(?:\.\d+)?)\s*ml/.exec(text);
+    if (ratio) {
+      result.value = round(parseFloat(ratio[1]) * 1000 / parseFloat(ratio[2]));
+      result.si = { value: result.value, unit: quantity.siUnit };
+      return result;
+    }
+  }
+
+  const qualifier = QUALIFIERS.find(candidate => candidate.pattern.test(text));
+  if (qualifier) {
+    result.qualifier = qualifier.symbol;
+    text = text.replace(qualifier.pattern, '');
+  }
+
+  // Relative density / specific gravity is unitless but equals g/cm³ against water
+  const parsed = parseQuantity(text, quantity, relativeDensity ? quantity.units[0] : null);
+  if (!parsed || Number.isNaN(parsed.min)) {
+    result.unit = null;
+    return result;
+  }
+
+  const min = parsed.unit.toLab(parsed.min);
+  const max = parsed.unit.toLab(parsed.max);
+
+  if (parsed.isRange) {
+    result.range = { min: round(min), max: round(max) };
+    result.si = { range: { min: round(quantity.toSI(min)), max: round(quantity.toSI(max)) }, unit: quantity.siUnit };
+  } else {
+    result.value = round(min);
+    result.si = { value: round(quantity.toSI(min)), unit: quantity.siUnit };
+  }
+
+  return result;
+}
+
+module.exports = {
+  QUANTITIES,
+  parseMeasurement
+};
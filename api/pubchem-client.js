@@ -0,0 +1,506 @@
+// pubchem-client.js - Shared upstream client for PubChem (PUG REST, PUG-View, autocomplete)
+
+const fetch = require('node-fetch');
+const UpstreamFixtures = require('./upstream-fixtures');
+
+const PUBCHEM_REST_BASE = 'https://pubchem.ncbi.nlm.nih.gov/rest';
+const USER_AGENT = 'MoleculeStudio/1.0 (Educational Research Tool)';
+
+// passthrough (live), record (live + save fixtures) or replay (fixtures only, no network)
+const UPSTREAM_MODES = ['passthrough', 'record', 'replay'];
+
+// PubChem answers overload with 503 and gateway timeouts with 504
+const RETRYABLE_STATUSES = new Set([503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+]);
+
+// How the X-Throttling-Control status scales our request rate.
+// Black means PubChem is blocking us, so we stop sending for a while.
+const THROTTLE_POLICIES = {
+  green: { rateFactor: 1, pauseMs: 0 },
+  yellow: { rateFactor: 0.5, pauseMs: 0 },
+  red: { rateFactor: 0.2, pauseMs: 2000 },
+  black: { rateFactor: 0.2, pauseMs: 15000 }
+};
+const THROTTLE_SEVERITY = ['green', 'yellow', 'red', 'black'];
+// PubChem measures load over a 60 second window, so older readings no longer apply
+const THROTTLE_STATE_TTL_MS = 60000;
+
+// Lightweight request used to check whether PubChem has recovered (CID 962 is water)
+const PROBE_URL = `${PUBCHEM_REST_BASE}/pug/compound/cid/962/cids/TXT`;
+const MAX_TRIP_HISTORY = 20;
+
+// Parse "Request Count status: Green (0%), Request Time status: Green (0%), Service status: Green (20%)"
+function parseThrottlingHeader(header) {
+  if (!header) return null;
+
+  const parsed = {};
+  const pattern = /(Request Count|Request Time|Service) status:\s*(\w+)\s*(?:\((\d+)%\))?/gi;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    const key = match[1].toLowerCase().replace(' ', '_');
+    parsed[key] = {
+      status: match[2].toLowerCase(),
+      percent: match[3] !== undefined ? parseInt(match[3], 10) : null
+    };
+  }
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+}
+
+class PubChemClient {
+  constructor(options = {}) {
+    // Token bucket shared by every route: PubChem allows 5 requests/second per host
+    this.ratePerSecond = options.ratePerSecond || 5;
+    this.burst = options.burst || this.ratePerSecond;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+
+    this.throttle = {
+      status: 'green',
+      components: {},
+      updatedAt: null,
+      pausedUntil: 0,
+      rawHeader: null
+    };
+
+    // Circuit breaker: closed → open after repeated failures → half-open while a probe runs
+    this.failureThreshold = options.failureThreshold || 5;
+    this.openDurationMs = options.openDurationMs || 30000;
+    this.breaker = {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      nextProbeAt: null,
+      probeTimer: null,
+      lastFailure: null,
+      trips: [],
+      totalTrips: 0
+    };
+
+    this.mode = options.mode || 'passthrough';
+    if (!UPSTREAM_MODES.includes(this.mode)) {
+      // A typo must not silently send a "replay" test run to the live API
+      throw new Error(`Unknown PubChem upstream mode "${this.mode}" (PUBCHEM_UPSTREAM_MODE must be one of: ${UPSTREAM_MODES.join(', ')})`);
+    }
+    this.fixtures = this.mode === 'passthrough' ? null : new UpstreamFixtures(options.fixturesDir);
+    if (this.fixtures) {
+      console.log(`📼 PubChem upstream mode: ${this.mode} (${this.fixtures.directory})`);
+    }
+
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelayMs = options.baseDelayMs || 250;
+    this.maxDelayMs = options.maxDelayMs || 8000;
+
+    // FIFO queue of callers waiting for a token, so nobody is starved during bursts
+    this.queue = [];
+    this.drainTimer = null;
+    this.inFlight = 0;
+
+    this.stats = {
+      totalRequests: 0,
+      completedRequests: 0,
+      failedRequests: 0,
+      totalRetries: 0,
+      retriesByReason: {},
+      lastRetryAt: null,
+      maxQueueDepth: 0
+    };
+  }
+
+  // Wait for a request token; resolves in arrival order
+  acquireToken() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+      this.drainQueue();
+    });
+  }
+
+  refillTokens() {
+    const now = Date.now();
+    // No budget accumulates while PubChem has told us to pause
+    if (now < this.throttle.pausedUntil) {
+      this.tokens = 0;
+      this.lastRefill = now;
+      return;
+    }
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.getEffectiveRate());
+    this.lastRefill = now;
+  }
+
+  getThrottleStatus() {
+    const { status, updatedAt } = this.throttle;
+    if (!updatedAt || Date.now() - updatedAt > THROTTLE_STATE_TTL_MS) return 'green';
+    return status;
+  }
+
+  getEffectiveRate() {
+    return this.ratePerSecond * THROTTLE_POLICIES[this.getThrottleStatus()].rateFactor;
+  }
+
+  // Adapt our pace to the load PubChem reports on every response
+  updateThrottleState(header) {
+    const components = parseThrottlingHeader(header);
+    if (!components) return;
+
+    const worst = Object.values(components)
+      .map(component => component.status)
+      .filter(status => THROTTLE_SEVERITY.includes(status))
+      .reduce((a, b) => (THROTTLE_SEVERITY.indexOf(b) > THROTTLE_SEVERITY.indexOf(a) ? b : a), 'green');
+
+    const previous = this.getThrottleStatus();
+    const policy = THROTTLE_POLICIES[worst];
+
+    // Settle tokens at the old rate before switching to the new one
+    this.refillTokens();
+
+    this.throttle.status = worst;
+    this.throttle.components = components;
+    this.throttle.updatedAt = Date.now();
+    this.throttle.rawHeader = header;
+
+    if (policy.pauseMs > 0) {
+      this.throttle.pausedUntil = Math.max(this.throttle.pausedUntil, Date.now() + policy.pauseMs);
+    }
+
+    if (worst !== previous) {
+      console.log(`🚦 PubChem throttle status changed: ${previous} → ${worst} (${header})`);
+    }
+  }
+
+  drainQueue() {
+    if (this.drainTimer) return;
+
+    const pauseRemaining = this.throttle.pausedUntil - Date.now();
+    if (pauseRemaining > 0 && this.queue.length > 0) {
+      this.drainTimer = setTimeout(() => {
+        this.drainTimer = null;
+        this.drainQueue();
+      }, pauseRemaining);
+      return;
+    }
+
+    this.refillTokens();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      const resolve = this.queue.shift();
+      resolve();
+    }
+
+    if (this.queue.length > 0) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.getEffectiveRate()) * 1000);
+      this.drainTimer = setTimeout(() => {
+        this.drainTimer = null;
+        this.drainQueue();
+      }, Math.max(waitMs, 1));
+    }
+  }
+
+  // Full jitter exponential backoff, never shorter than an upstream Retry-After
+  getBackoffDelay(attempt, retryAfterSeconds) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    const jittered = Math.floor(Math.random() * ceiling);
+    const retryAfterMs = retryAfterSeconds ? retryAfterSeconds * 1000 : 0;
+    return Math.min(this.maxDelayMs, Math.max(jittered, retryAfterMs));
+  }
+
+  isRetryableError(error) {
+    if (error.type === 'request-timeout') return true;
+    return RETRYABLE_ERROR_CODES.has(error.code);
+  }
+
+  recordRetry(reason) {
+    this.stats.totalRetries++;
+    this.stats.retriesByReason[reason] = (this.stats.retriesByReason[reason] || 0) + 1;
+    this.stats.lastRetryAt = new Date().toISOString();
+  }
+
+  createCircuitOpenError() {
+    const retryAfter = Math.max(1, Math.ceil((this.breaker.nextProbeAt - Date.now()) / 1000));
+    const error = new Error(`PubChem circuit breaker is open; retry after ${retryAfter}s`);
+    error.code = 'CIRCUIT_OPEN';
+    error.status = 503;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  // Returns true when this request is allowed through as the half-open probe; throws while open
+  checkCircuit() {
+    const { state, nextProbeAt } = this.breaker;
+    if (state === 'closed') return false;
+
+    if (state === 'open' && Date.now() >= nextProbeAt) {
+      this.breaker.state = 'half-open';
+      console.log('🔌 PubChem circuit half-open: sending probe request');
+      return true;
+    }
+
+    throw this.createCircuitOpenError();
+  }
+
+  // A failed probe re-opens the current trip rather than starting a new one
+  openCircuit(reason, isReopen = false) {
+    const now = Date.now();
+    this.breaker.state = 'open';
+    this.breaker.nextProbeAt = now + this.openDurationMs;
+
+    if (isReopen) {
+      const trip = this.breaker.trips[this.breaker.trips.length - 1];
+      if (trip) trip.failed_probes++;
+    } else {
+      this.breaker.openedAt = now;
+      this.breaker.totalTrips++;
+      this.breaker.trips.push({
+        opened_at: new Date(now).toISOString(),
+        reason,
+        failed_probes: 0,
+        closed_at: null
+      });
+      if (this.breaker.trips.length > MAX_TRIP_HISTORY) {
+        this.breaker.trips.shift();
+      }
+    }
+    console.log(`🔌 PubChem circuit opened (${reason}); failing fast for ${this.openDurationMs}ms`);
+
+    // Probe on a timer as well, so recovery is noticed even when no traffic arrives
+    clearTimeout(this.breaker.probeTimer);
+    this.breaker.probeTimer = setTimeout(() => this.sendProbe(), this.openDurationMs);
+    if (this.breaker.probeTimer.unref) this.breaker.probeTimer.unref();
+  }
+
+  sendProbe() {
+    if (this.breaker.state !== 'open') return;
+    if (Date.now() < this.breaker.nextProbeAt) {
+      this.breaker.probeTimer = setTimeout(() => this.sendProbe(), this.breaker.nextProbeAt - Date.now());
+      if (this.breaker.probeTimer.unref) this.breaker.probeTimer.unref();
+      return;
+    }
+    this.request(PROBE_URL, { accept: 'text/plain', timeout: 10000, retries: 0 })
+      .then(response => response.text())
+      .catch(() => { });
+  }
+
+  recordCircuitSuccess() {
+    this.breaker.consecutiveFailures = 0;
+    if (this.breaker.state !== 'closed') {
+      const trip = this.breaker.trips[this.breaker.trips.length - 1];
+      if (trip) trip.closed_at = new Date().toISOString();
+      clearTimeout(this.breaker.probeTimer);
+      this.breaker.state = 'closed';
+      this.breaker.nextProbeAt = null;
+      console.log('🔌 PubChem circuit closed: upstream recovered');
+    }
+  }
+
+  recordCircuitFailure(reason) {
+    // A missing replay fixture says nothing about PubChem's health
+    if (reason === 'FIXTURE_MISSING') return;
+
+    this.breaker.consecutiveFailures++;
+    this.breaker.lastFailure = { reason, at: new Date().toISOString() };
+
+    if (this.breaker.state === 'half-open') {
+      this.openCircuit(`probe failed: ${reason}`, true);
+    } else if (this.breaker.state === 'closed' && this.breaker.consecutiveFailures >= this.failureThreshold) {
+      this.openCircuit(`${this.breaker.consecutiveFailures} consecutive failures, last: ${reason}`);
+    }
+  }
+
+  // Single upstream attempt, routed through the fixture store in record/replay mode
+  async send(url, init) {
+    if (this.mode === 'replay') {
+      return this.fixtures.replay(init.method, url, init.body);
+    }
+
+    if (this.mode !== 'record') {
+      return fetch(url, init);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      this.fixtures.recordError(init.method, url, init.body, error);
+      throw error;
+    }
+    return this.fixtures.recordResponse(init.method, url, init.body, response);
+  }
+
+  // Rate-limited fetch with retries; resolves with the final node-fetch Response
+  async request(url, options = {}) {
+    const {
+      accept = 'application/json',
+      timeout = 30000,
+      method = 'GET',
+      body,
+      headers = {}
+    } = options;
+    const maxRetries = options.retries !== undefined ? options.retries : this.maxRetries;
+
+    const isProbe = this.checkCircuit();
+    this.stats.totalRequests++;
+
+    for (let attempt = 0; ; attempt++) {
+      // Replayed fixtures never reach PubChem, so they skip the request budget
+      if (this.mode !== 'replay') {
+        await this.acquireToken();
+      }
+
+      // The circuit may have opened while we waited in the queue
+      if (!isProbe && this.breaker.state !== 'closed') {
+        this.stats.failedRequests++;
+        throw this.createCircuitOpenError();
+      }
+
+      this.inFlight++;
+
+      let response;
+      try {
+        response = await this.send(url, {
+          method,
+          body,
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': accept,
+            ...headers
+          },
+          timeout
+        });
+      } catch (error) {
+        if (attempt < maxRetries && this.isRetryableError(error)) {
+          const reason = error.type === 'request-timeout' ? 'timeout' : error.code;
+          const delay = this.getBackoffDelay(attempt);
+          console.log(`🔁 PubChem ${reason} on attempt ${attempt + 1}, retrying in ${delay}ms: ${url}`);
+          this.recordRetry(reason);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+        this.stats.failedRequests++;
+        this.recordCircuitFailure(error.type === 'request-timeout' ? 'timeout' : (error.code || error.message));
+        throw error;
+      } finally {
+        this.inFlight--;
+      }
+
+      this.updateThrottleState(response.headers.get('x-throttling-control'));
+
+      if (RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10) || 0;
+        const delay = this.getBackoffDelay(attempt, retryAfter);
+        console.log(`🔁 PubChem ${response.status} on attempt ${attempt + 1}, retrying in ${delay}ms: ${url}`);
+        this.recordRetry(String(response.status));
+        // Drain the body so the socket can be reused
+        await response.text().catch(() => { });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      if (response.ok) {
+        this.stats.completedRequests++;
+      } else {
+        this.stats.failedRequests++;
+      }
+
+      // 4xx means PubChem is up and answering; only 5xx counts against the circuit
+      if (response.status >= 500) {
+        this.recordCircuitFailure(`HTTP ${response.status}`);
+      } else {
+        this.recordCircuitSuccess();
+      }
+      return response;
+    }
+  }
+
+  // PUG REST: https://pubchem.ncbi.nlm.nih.gov/rest/pug/{path}
+  fetchPug(path, options = {}) {
+    return this.request(`${PUBCHEM_REST_BASE}/pug/${path}`, options);
+  }
+
+  // PUG-View: https://pubchem.ncbi.nlm.nih.gov/rest/pug_view/{path}
+  fetchPugView(path, options = {}) {
+    return this.request(`${PUBCHEM_REST_BASE}/pug_view/${path}`, options);
+  }
+
+  // Autocomplete: https://pubchem.ncbi.nlm.nih.gov/rest/autocomplete/{path}
+  fetchAutocomplete(path, options = {}) {
+    return this.request(`${PUBCHEM_REST_BASE}/autocomplete/${path}`, { timeout: 10000, ...options });
+  }
+
+  // Snapshot for /api/health so clients can back off before requests start failing
+  getThrottleState() {
+    const status = this.getThrottleStatus();
+    const pausedForMs = Math.max(0, this.throttle.pausedUntil - Date.now());
+    const advice = {
+      green: 'PubChem load is normal',
+      yellow: 'PubChem is busy; requests are being slowed down',
+      red: 'PubChem is heavily loaded; please slow down',
+      black: 'PubChem is blocking excess traffic; please pause requests'
+    };
+
+    return {
+      status,
+      effective_rate_per_second: Math.round(this.getEffectiveRate() * 100) / 100,
+      paused: pausedForMs > 0,
+      paused_for_ms: pausedForMs,
+      components: this.throttle.components,
+      last_header: this.throttle.rawHeader,
+      updated_at: this.throttle.updatedAt ? new Date(this.throttle.updatedAt).toISOString() : null,
+      advice: advice[status]
+    };
+  }
+
+  getBreakerState() {
+    const { state, nextProbeAt } = this.breaker;
+    return {
+      state,
+      consecutive_failures: this.breaker.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      open_duration_ms: this.openDurationMs,
+      opened_at: state !== 'closed' ? new Date(this.breaker.openedAt).toISOString() : null,
+      next_probe_at: nextProbeAt ? new Date(nextProbeAt).toISOString() : null,
+      retry_after_seconds: state === 'closed' ? 0 : Math.max(0, Math.ceil((nextProbeAt - Date.now()) / 1000)),
+      last_failure: this.breaker.lastFailure,
+      total_trips: this.breaker.totalTrips,
+      trip_history: this.breaker.trips
+    };
+  }
+
+  getStats() {
+    this.refillTokens();
+    return {
+      mode: this.mode,
+      fixtures: this.fixtures ? this.fixtures.getStats() : null,
+      rate_limit_per_second: this.ratePerSecond,
+      effective_rate_per_second: Math.round(this.getEffectiveRate() * 100) / 100,
+      tokens_available: Math.floor(this.tokens * 100) / 100,
+      queue_depth: this.queue.length,
+      max_queue_depth: this.stats.maxQueueDepth,
+      in_flight: this.inFlight,
+      total_requests: this.stats.totalRequests,
+      completed_requests: this.stats.completedRequests,
+      failed_requests: this.stats.failedRequests,
+      total_retries: this.stats.totalRetries,
+      retries_by_reason: this.stats.retriesByReason,
+      last_retry_at: this.stats.lastRetryAt
+    };
+  }
+}
+
+// Export singleton instance so every route shares one request budget
+module.exports = new PubChemClient({
+  ratePerSecond: parseFloat(process.env.PUBCHEM_RATE_LIMIT) || 5,
+  maxRetries: process.env.PUBCHEM_MAX_RETRIES !== undefined ? parseInt(process.env.PUBCHEM_MAX_RETRIES, 10) : 3,
+  failureThreshold: parseInt(process.env.PUBCHEM_BREAKER_THRESHOLD, 10) || 5,
+  openDurationMs: parseInt(process.env.PUBCHEM_BREAKER_OPEN_MS, 10) || 30000,
+  mode: process.env.PUBCHEM_UPSTREAM_MODE || 'passthrough',
+  fixturesDir: process.env.PUBCHEM_FIXTURES_DIR
+});
@@ -0,0 +1,599 @@
+// pubchem-validator.js - Checks proxy requests against PUG REST's input/operation/output grammar
+// https://pubchem.ncbi.nlm.nih.gov/docs/pug-rest#section=URL-based-API
+
+const STRUCTURE_SEARCH_NAMESPACES = ['smiles', 'inchi', 'sdf', 'cid'];
+const FAST_SEARCH_NAMESPACES = ['smiles', 'smarts', 'inchi', 'sdf', 'cid'];
+const XREF_TYPES = [
+  'RegistryID', 'RN', 'PubMedID', 'MMDBID', 'ProteinGI', 'NucleotideGI',
+  'TaxonomyID', 'MIMID', 'GeneID', 'ProbeID', 'PatentID'
+];
+
+const COMPOUND_PROPERTIES = [
+  'MolecularFormula', 'MolecularWeight', 'SMILES', 'ConnectivitySMILES', 'CanonicalSMILES',
+  'IsomericSMILES', 'InChI', 'InChIKey', 'IUPACName', 'Title', 'XLogP', 'ExactMass',
+  'MonoisotopicMass', 'TPSA', 'Complexity', 'Charge', 'HBondDonorCount', 'HBondAcceptorCount',
+  'RotatableBondCount', 'HeavyAtomCount', 'IsotopeAtomCount', 'AtomStereoCount',
+  'DefinedAtomStereoCount', 'UndefinedAtomStereoCount', 'BondStereoCount',
+  'DefinedBondStereoCount', 'UndefinedBondStereoCount', 'CovalentUnitCount', 'PatentCount',
+  'PatentFamilyCount', 'LiteratureCount', 'Volume3D', 'XStericQuadrupole3D',
+  'YStericQuadrupole3D', 'ZStericQuadrupole3D', 'FeatureCount3D', 'FeatureAcceptorCount3D',
+  'FeatureDonorCount3D', 'FeatureAnionCount3D', 'FeatureCationCount3D', 'FeatureRingCount3D',
+  'FeatureHydrophobeCount3D', 'ConformerModelRMSD3D', 'EffectiveRotorCount3D',
+  'ConformerCount3D', 'Fingerprint2D'
+];
+
+const OUTPUT_FORMATS = ['XML', 'ASNT', 'ASNB', 'JSON', 'JSONP', 'SDF', 'CSV', 'PNG', 'TXT'];
+
+// ids: how identifier values are checked; qualifier: allowed values of the extra namespace segment
+// (substructure/smiles, xref/RN, ...), null for any non-empty value; search: the qualifier names the input
+const DOMAINS = {
+  compound: {
+    namespaces: {
+      cid: { ids: 'integer' },
+      name: {},
+      smiles: {},
+      inchi: {},
+      sdf: {},
+      inchikey: { ids: 'inchikey' },
+      formula: {},
+      fastformula: {},
+      listkey: { ids: 'listkey' },
+      substructure: { qualifier: STRUCTURE_SEARCH_NAMESPACES, search: true },
+      superstructure: { qualifier: STRUCTURE_SEARCH_NAMESPACES, search: true },
+      similarity: { qualifier: STRUCTURE_SEARCH_NAMESPACES, search: true },
+      identity: { qualifier: STRUCTURE_SEARCH_NAMESPACES, search: true },
+      fastidentity: { qualifier: FAST_SEARCH_NAMESPACES, search: true },
+      fastsimilarity_2d: { qualifier: FAST_SEARCH_NAMESPACES, search: true },
+      fastsimilarity_3d: { qualifier: FAST_SEARCH_NAMESPACES, search: true },
+      fastsubstructure: { qualifier: FAST_SEARCH_NAMESPACES, search: true },
+      fastsuperstructure: { qualifier: FAST_SEARCH_NAMESPACES, search: true },
+      xref: { qualifier: XREF_TYPES }
+    },
+    operations: {
+      record: {},
+      property: { args: COMPOUND_PROPERTIES },
+      synonyms: {},
+      sids: {},
+      cids: {},
+      aids: {},
+      assaysummary: {},
+      classification: {},
+      xrefs: { args: XREF_TYPES },
+      description: {},
+      conformers: {},
+      dates: {}
+    }
+  },
+  substance: {
+    namespaces: {
+      sid: { ids: 'integer' },
+      sourceid: { qualifier: null },
+      sourceall: { qualifier: null, noIds: true },
+      name: {},
+      listkey: { ids: 'listkey' },
+      xref: { qualifier: XREF_TYPES }
+    },
+    operations: {
+      record: {},
+      synonyms: {},
+      sids: {},
+      cids: {},
+      aids: {},
+      assaysummary: {},
+      classification: {},
+      xrefs: { args: XREF_TYPES },
+      description: {},
+      dates: {}
+    }
+  },
+  assay: {
+    namespaces: {
+      aid: { ids: 'integer' },
+      listkey: { ids: 'listkey' },
+      type: { qualifier: ['all', 'confirmatory', 'doseresponse', 'onhold', 'panel', 'rnai', 'screening', 'summary', 'cellbased', 'biochemical', 'invivo', 'invitro', 'activeconcentrationspecified'], noIds: true },
+      sourceall: { qualifier: null, noIds: true },
+      target: { qualifier: ['gi', 'proteinname', 'geneid', 'genesymbol', 'accession'] },
+      activity: { qualifier: null, noIds: true }
+    },
+    operations: {
+      record: {},
+      concise: {},
+      aids: {},
+      sids: {},
+      cids: {},
+      description: {},
+      targets: { args: ['ProteinGI', 'ProteinName', 'GeneID', 'GeneSymbol'] },
+      doseresponse: { args: ['sid'] },
+      summary: {},
+      classification: {}
+    }
+  },
+  gene: {
+    namespaces: { geneid: { ids: 'integer' }, genesymbol: {}, synonym: {} },
+    operations: { summary: {}, aids: {}, concise: {}, pwaccs: {} }
+  },
+  protein: {
+    namespaces: { accession: {}, gi: { ids: 'integer' }, synonym: {} },
+    operations: { summary: {}, aids: {}, concise: {}, pwaccs: {} }
+  },
+  pathway: {
+    namespaces: { pwacc: {} },
+    operations: { summary: {}, cids: {}, geneids: {}, accessions: {} }
+  },
+  taxonomy: {
+    namespaces: { taxid: { ids: 'integer' }, synonym: {} },
+    operations: { summary: {}, aids: {} }
+  },
+  cell: {
+    namespaces: { cellacc: {}, synonym: {} },
+    operations: { summary: {}, aids: {} }
+  }
+};
+
+// Domains outside the input/operation/output pattern: sources/{substance|assay}/{output}, conformers/{id}/{output}
+const SOURCE_DOMAINS = ['sources', 'sourcetable'];
+
+// Option values PubChem would reject anyway; unknown options are passed through untouched
+const OPTION_RULES = {
+  record_type: { values: ['2d', '3d'] },
+  image_size: { pattern: /^(small|large|\d{1,4}x\d{1,4})$/, description: 'small, large or WIDTHxHEIGHT' },
+  response_type: { values: ['display', 'save'] },
+  name_type: { values: ['word', 'complete'] },
+  list_return: { values: ['listkey', 'flat', 'grouped'] },
+  cids_type: { values: ['all', 'active', 'inactive', 'standardized', 'component', 'original', 'preferred'] },
+  sids_type: { values: ['all', 'active', 'inactive', 'standardized', 'component', 'original'] },
+  aids_type: { values: ['all', 'active', 'inactive'] },
+  conformers_type: { values: ['3d'] },
+  MaxRecords: { integer: { min: 1, max: 1000000 } },
+  Threshold: { integer: { min: 0, max: 100 } },
+  listkey_start: { integer: { min: 0 } },
+  listkey_count: { integer: { min: 1, max: 100000 } }
+};
+
+// Identifier types accepted by /api/pubchem/compound/{identifier}/educational?type=
+// (formula searches are asynchronous at PubChem, so formula is searched with fastformula;
+// CAS numbers are PubChem synonyms and go through the name search)
+const EDUCATIONAL_IDENTIFIER_TYPES = ['cid', 'name', 'smiles', 'inchi', 'inchikey', 'fastformula', 'formula', 'cas'];
+
+// Parts of the educational payload selectable with ?include=
+const EDUCATIONAL_PARTS = ['properties', 'synonyms', 'structure_3d', 'images', 'context'];
+
+const FIELD_PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+// Synonym groups selectable with ?synonym_groups=
+const SYNONYM_GROUPS = ['iupac', 'common', 'brand', 'cas', 'ec', 'unii', 'other'];
+
+// Audience levels for educational text (?level=); undergrad is the default register
+const EDUCATION_LEVELS = ['intro', 'undergrad', 'advanced'];
+
+const INCHIKEY_PATTERN = /^[A-Z]{14}-[A-Z]{10}-[A-Z]$/;
+const CAS_PATTERN = /^(\d{2,7})-(\d{2})-(\d)$/;
+const FORMULA_PATTERN = /^(\d*([A-Z][a-z]?\d*)+)(\.\d*([A-Z][a-z]?\d*)+)*$/;
+const SMILES_SYMBOLS = /[=#()[\]@\\/%+]/;
+
+function invalidRequest(segment, value, message, allowed) {
+  const error = new Error(message);
+  error.code = 'INVALID_REQUEST';
+  error.status = 400;
+  error.segment = segment;
+  error.value = value;
+  if (allowed) {
+    error.allowed = allowed;
+  }
+  return error;
+}
+
+// Case-insensitive lookup that returns PubChem's own spelling
+function findAllowed(allowed, value) {
+  const lower = String(value).toLowerCase();
+  return allowed.find(candidate => candidate.toLowerCase() === lower);
+}
+
+function isPositiveInteger(value) {
+  return /^\d{1,15}$/.test(String(value)) && Number(value) > 0;
+}
+
+function validateIdentifiers(segment, value, kind) {
+  // Names, SMILES and formulas may legitimately contain commas, so only ID lists are split
+  if (!kind) return;
+
+  const ids = String(value).split(',').map(id => id.trim());
+  if (ids.some(id => id === '')) {
+    throw invalidRequest(segment, value, `Empty ${segment} in identifier list "${value}"`);
+  }
+
+  if (kind === 'integer') {
+    const bad = ids.find(id => !isPositiveInteger(id));
+    if (bad !== undefined) {
+      throw invalidRequest(segment, bad, `"${bad}" is not a valid ${segment}; expected a positive integer (comma-separated for several)`);
+    }
+  }
+
+  if (kind === 'listkey') {
+    const bad = ids.find(id => !/^\d+$/.test(id));
+    if (bad !== undefined) {
+      throw invalidRequest(segment, bad, `"${bad}" is not a valid ListKey; expected digits only`);
+    }
+  }
+
+  if (kind === 'inchikey') {
+    const bad = ids.find(id => !INCHIKEY_PATTERN.test(id));
+    if (bad !== undefined) {
+      throw invalidRequest(segment, bad, `"${bad}" is not a valid InChIKey; expected 27 characters like BSYNRYMUTXBXSQ-UHFFFAOYSA-N`);
+    }
+  }
+}
+
+function validateOutput(segment, value) {
+  if (!findAllowed(OUTPUT_FORMATS, value)) {
+    throw invalidRequest(segment, value, `Unknown output format "${value}"`, OUTPUT_FORMATS);
+  }
+}
+
+function validateOptions(query) {
+  Object.entries(query || {}).forEach(([name, rawValue]) => {
+    const rule = OPTION_RULES[name];
+    if (!rule) return;
+
+    const value = Array.isArray(rawValue) ? rawValue[rawValue.length - 1] : String(rawValue);
+    const segment = `?${name}`;
+
+    if (rule.values && !rule.values.includes(value)) {
+      throw invalidRequest(segment, value, `Invalid value "${value}" for ${name}`, rule.values);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      throw invalidRequest(segment, value, `Invalid value "${value}" for ${name}; expected ${rule.description}`);
+    }
+    if (rule.integer) {
+      const { min = 0, max = Number.MAX_SAFE_INTEGER } = rule.integer;
+      const number = Number(value);
+      if (!/^\d+$/.test(value) || number < min || number > max) {
+        throw invalidRequest(segment, value, `${name} must be an integer between ${min} and ${max}`);
+      }
+    }
+  });
+}
+
+// Operation plus its arguments (property/MolecularWeight,XLogP), then an optional output format
+function validateOperationAndOutput(domainName, domain, rest, hint) {
+  if (rest.length === 0) {
+    throw invalidRequest('operation', null, `Missing operation or output format after the ${domainName} input`, Object.keys(domain.operations));
+  }
+
+  // compound/cid/2244/PNG: the operation defaults to record
+  if (rest.length === 1 && findAllowed(OUTPUT_FORMATS, rest[0])) {
+    return { operation: 'record', output: findAllowed(OUTPUT_FORMATS, rest[0]) };
+  }
+
+  const [operationSegment, ...afterOperation] = rest;
+  const operation = findAllowed(Object.keys(domain.operations), operationSegment);
+  if (!operation) {
+    const error = invalidRequest('operation', operationSegment, `Unknown ${domainName} operation "${operationSegment}"`, Object.keys(domain.operations));
+    if (hint) error.hint = hint;
+    throw error;
+  }
+
+  const spec = domain.operations[operation];
+  let remaining = afterOperation;
+  let args = null;
+
+  if (spec.args) {
+    if (remaining.length === 0 || (findAllowed(OUTPUT_FORMATS, remaining[0]) && !findAllowed(spec.args, remaining[0]))) {
+      throw invalidRequest(`${operation} list`, null, `The ${operation} operation needs a comma-separated list, e.g. ${operation}/${spec.args.slice(0, 2).join(',')}`, spec.args);
+    }
+    args = remaining[0].split(',');
+    const bad = args.find(arg => !findAllowed(spec.args, arg.trim()));
+    if (bad !== undefined) {
+      throw invalidRequest(`${operation} list`, bad, `Unknown ${operation} "${bad}"`, spec.args);
+    }
+    remaining = remaining.slice(1);
+  }
+
+  if (remaining.length > 1) {
+    throw invalidRequest('path', remaining.join('/'), `Unexpected segments "${remaining.join('/')}" after the ${operation} operation`);
+  }
+  if (remaining.length === 1) {
+    validateOutput('output', remaining[0]);
+  }
+
+  return { operation, args, output: remaining[0] ? findAllowed(OUTPUT_FORMATS, remaining[0]) : null };
+}
+
+/**
+ * Validate a proxied PUG REST path and its query options.
+ * `body` is the POSTed form/JSON object when the identifiers travel in the body.
+ * Returns the parsed parts or throws an INVALID_REQUEST error naming the bad segment.
+ */
+function validateProxyPath(pubchemPath, query = {}, { body = null } = {}) {
+  const segments = String(pubchemPath || '').split('/').filter(Boolean);
+
+  if (segments.length === 0) {
+    throw invalidRequest('domain', null, 'Missing PubChem path, e.g. compound/name/aspirin/cids/JSON', Object.keys(DOMAINS));
+  }
+
+  const domainName = findAllowed([...Object.keys(DOMAINS), ...SOURCE_DOMAINS, 'conformers'], segments[0]);
+  if (!domainName) {
+    throw invalidRequest('domain', segments[0], `Unknown or unsupported domain "${segments[0]}"`, [...Object.keys(DOMAINS), ...SOURCE_DOMAINS, 'conformers']);
+  }
+
+  validateOptions(query);
+
+  if (SOURCE_DOMAINS.includes(domainName)) {
+    if (!['substance', 'assay'].includes(segments[1])) {
+      throw invalidRequest('source type', segments[1] || null, `${domainName} needs a source type`, ['substance', 'assay']);
+    }
+    if (segments.length > 3) {
+      throw invalidRequest('path', segments.slice(3).join('/'), `Unexpected segments after ${domainName}/${segments[1]}`);
+    }
+    if (segments[2]) validateOutput('output', segments[2]);
+    return { domain: domainName, namespace: segments[1], output: segments[2] || null };
+  }
+
+  if (domainName === 'conformers') {
+    if (!segments[1] || !/^[0-9A-Fa-f]{16}(,[0-9A-Fa-f]{16})*$/.test(segments[1])) {
+      throw invalidRequest('conformer id', segments[1] || null, 'Conformer IDs are 16 hexadecimal characters, e.g. 000008C400000001');
+    }
+    if (segments.length > 3) {
+      throw invalidRequest('path', segments.slice(3).join('/'), 'Unexpected segments after the conformer ID');
+    }
+    if (segments[2]) validateOutput('output', segments[2]);
+    return { domain: domainName, namespace: 'conformer', output: segments[2] || null };
+  }
+
+  const domain = DOMAINS[domainName];
+  const namespace = findAllowed(Object.keys(domain.namespaces), segments[1] || '');
+  if (!namespace) {
+    throw invalidRequest('namespace', segments[1] || null, `Unknown ${domainName} namespace "${segments[1] || ''}"`, Object.keys(domain.namespaces));
+  }
+
+  const namespaceSpec = domain.namespaces[namespace];
+  let index = 2;
+  let qualifier = null;
+
+  if (namespaceSpec.qualifier !== undefined) {
+    const value = segments[index];
+    if (!value || (namespaceSpec.qualifier && !findAllowed(namespaceSpec.qualifier, value))) {
+      throw invalidRequest(`${namespace} type`, value || null, `Invalid ${namespace} type "${value || ''}"`, namespaceSpec.qualifier || undefined);
+    }
+    qualifier = namespaceSpec.qualifier ? findAllowed(namespaceSpec.qualifier, value) : value;
+    index++;
+  }
+
+  // Structure strings go in the URL for GET and in a field named after the namespace for POST
+  const identifierName = namespaceSpec.search ? qualifier : namespace;
+  const idKind = qualifier === 'cid' ? 'integer' : namespaceSpec.ids;
+  let identifiers = null;
+
+  if (!namespaceSpec.noIds) {
+    if (body) {
+      const bodyValue = body[identifierName];
+      if (bodyValue === undefined || bodyValue === null || bodyValue === '') {
+        throw invalidRequest('body', identifierName, `POST body is missing the "${identifierName}" field for the ${namespace} namespace`);
+      }
+      identifiers = Array.isArray(bodyValue) ? bodyValue.join(',') : String(bodyValue);
+    } else {
+      identifiers = segments[index];
+      if (!identifiers) {
+        throw invalidRequest('identifier', null, `Missing ${identifierName} identifier after ${segments.slice(0, index).join('/')}`);
+      }
+      index++;
+    }
+    validateIdentifiers(identifierName, identifiers, idKind);
+  }
+
+  const hint = !body && ['smiles', 'inchi', 'sdf', 'smarts'].includes(identifierName)
+    ? `${identifierName} values containing "/" split the path; POST the value in the body instead (see POST /api/pubchem/*)`
+    : undefined;
+  const { operation, args, output } = validateOperationAndOutput(domainName, domain, segments.slice(index), hint);
+
+  return { domain: domainName, namespace, qualifier, identifiers, operation, args, output };
+}
+
+// ?type= on the educational route goes straight into a PubChem URL
+function validateIdentifierType(type) {
+  if (!EDUCATIONAL_IDENTIFIER_TYPES.includes(type)) {
+    throw invalidRequest('type', type, `Unsupported identifier type "${type}"`, EDUCATIONAL_IDENTIFIER_TYPES);
+  }
+}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// ?include=properties,synonyms -> ['properties', 'synonyms']
+function validateEducationalParts(include, allowed = EDUCATIONAL_PARTS) {
+  const parts = splitList(include);
+  const bad = parts.find(part => !allowed.includes(part));
+  if (bad || parts.length === 0) {
+    throw invalidRequest('include', bad || include, `Unknown part "${bad || include}" in include`, allowed);
+  }
+  return [...new Set(parts)];
+}
+
+// ?fields=cid,basic_properties.MolecularFormula -> dotted paths into the response
+function validateFields(fields) {
+  const paths = splitList(fields);
+  const bad = paths.find(path => !FIELD_PATH_PATTERN.test(path));
+  if (bad || paths.length === 0) {
+    throw invalidRequest('fields', bad || fields, `Invalid field path "${bad || fields}"; expected names like basic_properties.MolecularWeight`);
+  }
+  return paths;
+}
+
+// ?q= on /api/resolve: any identifier text, trimmed, within URL-friendly length
+function validateResolveQuery(query, maxLength = 2000) {
+  const text = String(query || '').trim();
+  if (!text || text.length > maxLength) {
+    throw invalidRequest('q', query || null, `q must be a non-empty identifier of at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+// POST bodies are form-encoded for PubChem, so each field has to be a scalar or a list of scalars
+function validatePostBody(body) {
+  if (!body || typeof body !== 'object') return;
+
+  const isScalar = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  const bad = Object.keys(body).find(name => {
+    const value = body[name];
+    return Array.isArray(value) ? !value.every(isScalar) : !isScalar(value);
+  });
+  if (bad) {
+    throw invalidRequest('body', bad, `POST body field "${bad}" must be a string, number or a list of them, not a nested object`);
+  }
+}
+
+// Batch bodies carry a non-empty items array with a size cap
+function validateBatchItems(items, max) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw invalidRequest('items', null, 'The request body needs a non-empty "items" array');
+  }
+  if (items.length > max) {
+    throw invalidRequest('items', items.length, `At most ${max} items are allowed per batch (got ${items.length})`);
+  }
+}
+
+// ?ids=2244,2519 or a repeated ?ids= for InChIs and names that contain commas
+function validateCompareIds(ids, { min = 2, max = 10 } = {}) {
+  const list = Array.isArray(ids) ? ids.map(id => String(id).trim()).filter(Boolean) : splitList(ids || '');
+  const unique = [...new Set(list)];
+  if (unique.length < min || unique.length > max) {
+    throw invalidRequest('ids', ids || null, `ids must name between ${min} and ${max} different compounds (got ${unique.length})`);
+  }
+  return unique;
+}
+
+// CAS check digit: digits right to left (excluding the check digit) weighted 1, 2, 3, ... modulo 10
+function isCasNumber(value) {
+  const match = CAS_PATTERN.exec(String(value).trim());
+  if (!match) return false;
+  const digits = `${match[1]}${match[2]}`.split('').reverse();
+  const sum = digits.reduce((total, digit, index) => total + Number(digit) * (index + 1), 0);
+  return sum % 10 === Number(match[3]);
+}
+
+function validateCasNumber(value, segment = 'identifier') {
+  if (!isCasNumber(value)) {
+    throw invalidRequest(segment, value, `"${value}" is not a valid CAS registry number (expected e.g. 50-78-2 with a matching check digit)`);
+  }
+}
+
+// A formula lists each element once (CH4O), so repeated atoms such as CCO read as SMILES
+function looksLikeFormula(value) {
+  if (!FORMULA_PATTERN.test(value) || !/\d/.test(value)) return false;
+  return value.split('.').every(component => {
+    const elements = component.match(/[A-Z][a-z]?/g);
+    return new Set(elements).size === elements.length;
+  });
+}
+
+// Bond/branch/ring symbols, or a plain chain of organic-subset atoms (CCO, c1ccccc1)
+function looksLikeSmiles(value) {
+  if (/\s/.test(value)) return false;
+  if (SMILES_SYMBOLS.test(value)) return true;
+  return /[A-Z\d]/.test(value) && /^((Cl|Br|[BCNOPSFI]|[bcnops])\d*)+$/.test(value);
+}
+
+/**
+ * Guess the identifier type for ?type=auto. Anything that is not clearly a CID, InChI, InChIKey,
+ * CAS number, formula or SMILES is searched as a name.
+ */
+function detectIdentifierType(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return 'cid';
+  if (/^InChI=/.test(text)) return 'inchi';
+  if (INCHIKEY_PATTERN.test(text)) return 'inchikey';
+  if (CAS_PATTERN.test(text)) return 'cas';
+  if (looksLikeFormula(text)) return 'formula';
+  if (looksLikeSmiles(text)) return 'smiles';
+  return 'name';
+}
+
+// ?synonym_groups=cas,brand -> ['cas', 'brand']
+function validateSynonymGroups(groups) {
+  const list = splitList(groups);
+  const bad = list.find(group => !SYNONYM_GROUPS.includes(group));
+  if (bad || list.length === 0) {
+    throw invalidRequest('synonym_groups', bad || groups, `Unknown synonym group "${bad || groups}"`, SYNONYM_GROUPS);
+  }
+  return [...new Set(list)];
+}
+
+// ?format= on the structure endpoints (from/to on /api/convert), case-insensitive; returns the lower-case name
+function validateFormat(format, allowed, segment = 'format') {
+  const name = String(format).toLowerCase();
+  if (!allowed.includes(name)) {
+    throw invalidRequest(segment, format, `Unsupported format "${format}"`, allowed);
+  }
+  return name;
+}
+
+// /api/convert takes exactly one source: structure text, a molecule object or a CID
+function validateConvertSource({ input, molecule, molecules, cid }) {
+  const sources = [input, molecule !== undefined ? molecule : molecules, cid].filter(source => source !== undefined);
+  if (sources.length !== 1) {
+    throw invalidRequest('input', null, 'Send exactly one structure source: "input" text (or a text body), a "molecule" object or a "cid"');
+  }
+  if (input !== undefined && (typeof input !== 'string' || !input.trim())) {
+    throw invalidRequest('input', null, '"input" must be non-empty structure text');
+  }
+  if (cid !== undefined) {
+    validateCid(cid);
+  }
+}
+
+// A molfile holds one structure; several have to go out as SDF or another multi-structure format
+function validateStructureCount(format, count) {
+  if (format === 'mol' && count > 1) {
+    throw invalidRequest('to', format, `The input holds ${count} structures but a molfile holds one; convert to sdf instead`);
+  }
+}
+
+function validateLevel(level) {
+  if (!EDUCATION_LEVELS.includes(level)) {
+    throw invalidRequest('level', level, `Unsupported level "${level}"`, EDUCATION_LEVELS);
+  }
+}
+
+function validateCid(cid, segment = 'cid') {
+  if (!isPositiveInteger(cid)) {
+    throw invalidRequest(segment, cid, `"${cid}" is not a valid CID; expected a positive integer`);
+  }
+}
+
+function validateLimit(limit, { min = 1, max = 100 } = {}) {
+  const value = String(limit);
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    throw invalidRequest('limit', limit, `limit must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+module.exports = {
+  DOMAINS,
+  OUTPUT_FORMATS,
+  COMPOUND_PROPERTIES,
+  EDUCATIONAL_IDENTIFIER_TYPES,
+  EDUCATION_LEVELS,
+  EDUCATIONAL_PARTS,
+  SYNONYM_GROUPS,
+  isCasNumber,
+  validateProxyPath,
+  validatePostBody,
+  validateIdentifierType,
+  validateEducationalParts,
+  validateFields,
+  validateBatchItems,
+  validateCompareIds,
+  validateCasNumber,
+  validateResolveQuery,
+  validateSynonymGroups,
+  validateFormat,
+  validateConvertSource,
+  validateStructureCount,
+  detectIdentifierType,
+  validateLevel,
+  validateCid,
+  validateLimit
+};
@@ -0,0 +1,454 @@
+// pugview-sections.js - Turns PUG-View Record/Section/Information trees into flat, referenced summaries
+
+const { precautionaryText } = require('./ghs-statements');
+const { QUANTITIES, parseMeasurement } = require('./property-units');
+
+// Every section in the record, depth first, with the headings that lead to it
+function flattenSections(record) {
+  const sections = [];
+  const visit = (list, path) => {
+    (list || []).forEach(section => {
+      const headingPath = [...path, section.TOCHeading];
+      sections.push({ heading: section.TOCHeading, path: headingPath, section });
+      visit(section.Section, headingPath);
+    });
+  };
+  visit(record.Section, []);
+  return sections;
+}
+
+function findSections(sections, headings) {
+  const wanted = headings.map(heading => heading.toLowerCase());
+  return sections.filter(entry => entry.heading && wanted.includes(entry.heading.toLowerCase()));
+}
+
+// Plain strings from an Information value (StringWithMarkup, or numbers with their unit)
+function valueStrings(information) {
+  const value = (information && information.Value) || {};
+  if (value.StringWithMarkup) {
+    return value.StringWithMarkup.map(item => item.String).filter(Boolean);
+  }
+  if (value.Number) {
+    return [`${value.Number.join(', ')}${value.Unit ? ` ${value.Unit}` : ''}`];
+  }
+  return [];
+}
+
+// Record.Reference keyed by ReferenceNumber, trimmed to what clients need to cite a source
+function buildReferenceIndex(record) {
+  const index = new Map();
+  (record.Reference || []).forEach(reference => {
+    index.set(reference.ReferenceNumber, {
+      reference_number: reference.ReferenceNumber,
+      source: reference.SourceName || null,
+      name: reference.Name || null,
+      url: reference.URL || null
+    });
+  });
+  return index;
+}
+
+// Collects items keyed by their text so the same statement from several sources is listed once
+class ReferencedList {
+  constructor(referenceIndex) {
+    this.referenceIndex = referenceIndex;
+    this.items = new Map();
+  }
+
+  add(key, item, referenceNumber) {
+    if (!this.items.has(key)) {
+      this.items.set(key, { ...item, references: [] });
+    }
+    const entry = this.items.get(key);
+    const reference = this.referenceIndex.get(referenceNumber);
+    if (reference && !entry.references.some(existing => existing.reference_number === referenceNumber)) {
+      entry.references.push(reference);
+    }
+    return entry;
+  }
+
+  toArray() {
+    return Array.from(this.items.values());
+  }
+}
+
+// Text items from every section under the given headings; describe() adds per-item fields
+function extractTextItems(sections, headings, referenceIndex, describe) {
+  const list = new ReferencedList(referenceIndex);
+  findSections(sections, headings).forEach(({ heading, section }) => {
+    (section.Information || []).forEach(information => {
+      valueStrings(information).forEach(text => {
+        list.add(`${heading}\n${text}`, { ...describe(heading, information), text }, information.ReferenceNumber);
+      });
+    });
+  });
+  return list.toArray();
+}
+
+// Records fetched per heading (?heading=...) combined into one tree with shared references
+function mergeRecords(records) {
+  const references = new Map();
+  records.forEach(data => {
+    (data.Record.Reference || []).forEach(reference => references.set(reference.ReferenceNumber, reference));
+  });
+
+  return {
+    Record: {
+      ...records[0].Record,
+      Section: records.flatMap(data => data.Record.Section || []),
+      Reference: Array.from(references.values())
+    }
+  };
+}
+
+// Safety and Hazards
+
+const HAZARD_STATEMENT_PATTERN = /^((?:EU)?H\d{3}[A-Za-z]*(?:\+(?:EU)?H\d{3}[A-Za-z]*)*)(?:\s*\(([\d.]+)%\))?\s*:\s*(.*?)(?:\s*\[(Danger|Warning)?\s*(.*?)\])?\s*$/;
+const PRECAUTIONARY_CODE_PATTERN = /P\d{3}(?:\s*\+\s*P\d{3})*/g;
+
+const EXPOSURE_LIMIT_HEADINGS = [
+  'Permissible Exposure Limit (PEL)',
+  'Recommended Exposure Limit (REL)',
+  'Threshold Limit Values (TLV)',
+  'Immediately Dangerous to Life or Health (IDLH)',
+  'Occupational Exposure Limits (OEL)',
+  'Maximum Allowable Concentration (MAK)',
+  'Emergency Response Planning Guidelines',
+  'Acute Exposure Guideline Levels (AEGLs)'
+];
+
+const FIRST_AID_ROUTES = {
+  'first aid': 'general',
+  'inhalation first aid': 'inhalation',
+  'skin first aid': 'skin',
+  'eye first aid': 'eye',
+  'ingestion first aid': 'ingestion'
+};
+
+const NFPA_RATINGS = {
+  'nfpa health rating': 'health',
+  'nfpa fire rating': 'fire',
+  'nfpa instability rating': 'instability',
+  'nfpa specific notice': 'special'
+};
+
+function parseHazardStatement(text) {
+  const match = HAZARD_STATEMENT_PATTERN.exec(text);
+  if (!match) return null;
+
+  return {
+    code: match[1],
+    text: match[3],
+    signal_word: match[4] || null,
+    hazard_class: match[5] || null,
+    notified_percent: match[2] ? parseFloat(match[2]) : null
+  };
+}
+
+function parseNfpaRating(text) {
+  const match = /^\s*(\d|[A-Z]+)\s*-\s*(.*)$/.exec(text);
+  if (!match) return { rating: null, description: text };
+  return {
+    rating: /^\d$/.test(match[1]) ? parseInt(match[1], 10) : match[1],
+    description: match[2]
+  };
+}
+
+function extractGhs(sections, referenceIndex) {
+  const pictograms = new ReferencedList(referenceIndex);
+  const hazardStatements = new ReferencedList(referenceIndex);
+  const precautionaryStatements = new ReferencedList(referenceIndex);
+  const signalWords = new ReferencedList(referenceIndex);
+
+  findSections(sections, ['GHS Classification']).forEach(({ section }) => {
+    (section.Information || []).forEach(information => {
+      const name = (information.Name || '').toLowerCase();
+      const referenceNumber = information.ReferenceNumber;
+
+      if (name.startsWith('pictogram')) {
+        const markups = ((information.Value || {}).StringWithMarkup || []).flatMap(item => item.Markup || []);
+        markups.filter(markup => markup.Type === 'Icon').forEach(markup => {
+          const code = (/GHS\d{2}/.exec(markup.URL || '') || [])[0];
+          if (code) {
+            pictograms.add(code, { code, name: markup.Extra || null, image_url: markup.URL }, referenceNumber);
+          }
+        });
+      } else if (name === 'signal') {
+        valueStrings(information).forEach(word => signalWords.add(word, { value: word }, referenceNumber));
+      } else if (name.includes('hazard statement')) {
+        valueStrings(information).forEach(text => {
+          const statement = parseHazardStatement(text);
+          if (!statement) return;
+          // Keep the highest share of notifiers reporting the statement across sources
+          const entry = hazardStatements.add(statement.code, statement, referenceNumber);
+          if (statement.notified_percent !== null && (entry.notified_percent === null || statement.notified_percent > entry.notified_percent)) {
+            entry.notified_percent = statement.notified_percent;
+          }
+        });
+      } else if (name.includes('precautionary statement')) {
+        valueStrings(information).forEach(text => {
+          (text.match(PRECAUTIONARY_CODE_PATTERN) || []).forEach(rawCode => {
+            const code = rawCode.replace(/\s+/g, '');
+            precautionaryStatements.add(code, { code, text: precautionaryText(code) }, referenceNumber);
+          });
+        });
+      }
+    });
+  });
+
+  // Sources can disagree; "Danger" is the stricter word and wins
+  const words = signalWords.toArray();
+  const signalWord = words.find(word => word.value === 'Danger') || words[0] || null;
+
+  return {
+    signal_word: signalWord,
+    pictograms: pictograms.toArray(),
+    hazard_statements: hazardStatements.toArray(),
+    precautionary_statements: precautionaryStatements.toArray()
+  };
+}
+
+function extractNfpa(sections, referenceIndex) {
+  const nfpaSection = findSections(sections, ['NFPA Hazard Classification'])[0];
+  if (!nfpaSection) return null;
+
+  const nfpa = { diamond: null, health: null, fire: null, instability: null, special: null, references: [] };
+  (nfpaSection.section.Information || []).forEach(information => {
+    const name = (information.Name || '').toLowerCase();
+    const text = valueStrings(information)[0];
+    if (!text) return;
+
+    if (name.includes('704 diamond')) {
+      nfpa.diamond = nfpa.diamond || text;
+    } else if (NFPA_RATINGS[name] && !nfpa[NFPA_RATINGS[name]]) {
+      nfpa[NFPA_RATINGS[name]] = parseNfpaRating(text);
+    } else {
+      return;
+    }
+
+    const reference = referenceIndex.get(information.ReferenceNumber);
+    if (reference && !nfpa.references.includes(reference)) {
+      nfpa.references.push(reference);
+    }
+  });
+
+  // Fill missing ratings from the diamond ("2-1-0" or "3-0-2-W")
+  const diamond = /^(\d)-(\d)-(\d)(?:-(\S+))?/.exec(nfpa.diamond || '');
+  if (diamond) {
+    ['health', 'fire', 'instability'].forEach((field, i) => {
+      nfpa[field] = nfpa[field] || { rating: parseInt(diamond[i + 1], 10), description: null };
+    });
+    if (diamond[4] && !nfpa.special) {
+      nfpa.special = { rating: diamond[4], description: null };
+    }
+  }
+
+  return nfpa;
+}
+
+/**
+ * Normalized GHS/NFPA safety summary. Every item lists the PubChem sources it came from.
+ * Records without a Record property (unexpected shapes) are returned unchanged.
+ */
+function extractSafetyData(data) {
+  const record = data && data.Record;
+  if (!record) return data;
+
+  const sections = flattenSections(record);
+  const referenceIndex = buildReferenceIndex(record);
+
+  return {
+    cid: record.RecordNumber,
+    name: record.RecordTitle || null,
+    ...extractGhs(sections, referenceIndex),
+    nfpa: extractNfpa(sections, referenceIndex),
+    exposure_limits: extractTextItems(sections, EXPOSURE_LIMIT_HEADINGS, referenceIndex, heading => ({
+      type: (/\(([^)]+)\)$/.exec(heading) || [])[1] || heading,
+      heading
+    })),
+    first_aid: extractTextItems(sections, Object.keys(FIRST_AID_ROUTES), referenceIndex, heading => ({
+      route: FIRST_AID_ROUTES[heading.toLowerCase()]
+    })),
+    source: 'PubChem PUG-View',
+    note: 'Request ?raw=true for the unprocessed PUG-View record'
+  };
+}
+
+// Pharmacology
+
+const ATC_LEVELS = [
+  { length: 1, level: 'anatomical main group' },
+  { length: 3, level: 'therapeutic subgroup' },
+  { length: 4, level: 'pharmacological subgroup' },
+  { length: 5, level: 'chemical subgroup' },
+  { length: 7, level: 'chemical substance' }
+];
+const ATC_ENTRY_PATTERN = /^\s*([A-Z](?:\d{2}(?:[A-Z](?:[A-Z](?:\d{2})?)?)?)?)\s*[-:]\s*(.+?)\s*$/;
+
+const ADME_HEADINGS = ['Absorption, Distribution and Excretion', 'Metabolism/Metabolites', 'Biological Half-Life'];
+const INTERACTION_HEADINGS = ['Drug-Drug Interactions', 'Drug-Food Interactions', 'Interactions'];
+
+// ATC strings come one level per line ("N02 - Analgesics", "N02BA01 - Acetylsalicylic acid");
+// each deepest code gets its full path back to the anatomical group
+function extractAtcCodes(sections, referenceIndex) {
+  const entries = new ReferencedList(referenceIndex);
+
+  findSections(sections, ['ATC Code']).forEach(({ section }) => {
+    (section.Information || []).forEach(information => {
+      valueStrings(information).forEach(text => {
+        text.split(/\n|;/).forEach(line => {
+          const match = ATC_ENTRY_PATTERN.exec(line);
+          if (match) {
+            entries.add(match[1], { code: match[1], name: match[2] }, information.ReferenceNumber);
+          }
+        });
+      });
+    });
+  });
+
+  const byCode = new Map(entries.toArray().map(entry => [entry.code, entry]));
+  const codes = Array.from(byCode.keys());
+  const leaves = codes.filter(code => !codes.some(other => other !== code && other.startsWith(code)));
+
+  return leaves.map(code => ({
+    code,
+    name: byCode.get(code).name,
+    hierarchy: ATC_LEVELS
+      .filter(({ length }) => length <= code.length)
+      .map(({ length, level }) => ({
+        code: code.slice(0, length),
+        level,
+        name: byCode.has(code.slice(0, length)) ? byCode.get(code.slice(0, length)).name : null
+      })),
+    references: byCode.get(code).references
+  }));
+}
+
+// MeSH classes carry the class in Information.Name and its definition as the value
+function extractMeshClasses(sections, referenceIndex) {
+  const list = new ReferencedList(referenceIndex);
+  findSections(sections, ['MeSH Pharmacological Classification']).forEach(({ section }) => {
+    (section.Information || []).forEach(information => {
+      if (!information.Name) return;
+      list.add(information.Name, {
+        name: information.Name,
+        description: valueStrings(information)[0] || null
+      }, information.ReferenceNumber);
+    });
+  });
+  return list.toArray();
+}
+
+/**
+ * Pharmacology summary: mechanism of action, ATC codes, therapeutic uses, ADME notes,
+ * drug interactions and MeSH classes, each item with its PubChem sources.
+ */
+function extractPharmacologyData(data) {
+  const record = data && data.Record;
+  if (!record) return data;
+
+  const sections = flattenSections(record);
+  const referenceIndex = buildReferenceIndex(record);
+  const withHeading = heading => ({ heading });
+
+  return {
+    cid: record.RecordNumber,
+    name: record.RecordTitle || null,
+    mechanism_of_action: extractTextItems(sections, ['Mechanism of Action'], referenceIndex, () => ({})),
+    atc_codes: extractAtcCodes(sections, referenceIndex),
+    therapeutic_uses: extractTextItems(sections, ['Therapeutic Uses', 'Drug Indication'], referenceIndex, withHeading),
+    adme: extractTextItems(sections, ADME_HEADINGS, referenceIndex, withHeading),
+    drug_interactions: extractTextItems(sections, INTERACTION_HEADINGS, referenceIndex, (heading, information) => ({
+      heading,
+      interacts_with: information.Name || null
+    })),
+    mesh_classes: extractMeshClasses(sections, referenceIndex),
+    source: 'PubChem PUG-View',
+    note: 'Request ?raw=true for the unprocessed PUG-View record'
+  };
+}
+
+// Experimental properties
+
+const MEASURED_PROPERTIES = {
+  'Melting Point': { key: 'melting_point', quantity: 'temperature' },
+  'Boiling Point': { key: 'boiling_point', quantity: 'temperature' },
+  'Flash Point': { key: 'flash_point', quantity: 'temperature' },
+  'Autoignition Temperature': { key: 'autoignition_temperature', quantity: 'temperature' },
+  'Density': { key: 'density', quantity: 'density' },
+  'Vapor Pressure': { key: 'vapor_pressure', quantity: 'pressure' },
+  'Solubility': { key: 'solubility', quantity: 'concentration' }
+};
+
+function median(numbers) {
+  if (numbers.length === 0) return null;
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Number(value.toPrecision(6));
+}
+
+/**
+ * Experimental properties with numeric values (or ranges) in lab units plus SI.
+ * Each value keeps its original string, conditions and sources; median gives one number to plot.
+ */
+function extractPropertiesData(data) {
+  const record = data && data.Record;
+  if (!record) return data;
+
+  const sections = flattenSections(record);
+  const referenceIndex = buildReferenceIndex(record);
+  const properties = {};
+
+  Object.entries(MEASURED_PROPERTIES).forEach(([heading, { key, quantity }]) => {
+    const values = new ReferencedList(referenceIndex);
+    findSections(sections, [heading]).forEach(({ section }) => {
+      (section.Information || []).forEach(information => {
+        valueStrings(information).forEach(text => {
+          values.add(text, parseMeasurement(text, quantity), information.ReferenceNumber);
+        });
+      });
+    });
+
+    const parsedValues = values.toArray();
+    if (parsedValues.length === 0) return;
+
+    // Bounds such as "< 1 mg/mL" are not measurements, so they stay out of the median
+    const numbers = parsedValues
+      .filter(value => value.unit !== null && (value.qualifier === null || value.qualifier === '~'))
+      .map(value => (value.range ? (value.range.min + value.range.max) / 2 : value.value));
+
+    properties[key] = {
+      heading,
+      unit: QUANTITIES[quantity].labUnit,
+      si_unit: QUANTITIES[quantity].siUnit,
+      median: median(numbers),
+      values: parsedValues
+    };
+  });
+
+  const otherHeadings = findSections(sections, ['Experimental Properties'])
+    .flatMap(({ section }) => (section.Section || []).map(child => child.TOCHeading))
+    .filter(heading => !MEASURED_PROPERTIES[heading]);
+
+  return {
+    cid: record.RecordNumber,
+    name: record.RecordTitle || null,
+    properties,
+    other_properties: extractTextItems(sections, otherHeadings, referenceIndex, heading => ({ heading })),
+    source: 'PubChem PUG-View',
+    note: 'Request ?raw=true for the unprocessed PUG-View record'
+  };
+}
+
+module.exports = {
+  flattenSections,
+  findSections,
+  valueStrings,
+  buildReferenceIndex,
+  ReferencedList,
+  mergeRecords,
+  extractSafetyData,
+  extractPharmacologyData,
+  extractPropertiesData
+};
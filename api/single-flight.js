@@ -0,0 +1,40 @@
+// single-flight.js - Coalesces identical in-flight work so one upstream call serves every waiter
+
+class SingleFlight {
+  constructor() {
+    this.pending = new Map();
+    this.stats = {
+      executed: 0,
+      coalesced: 0
+    };
+  }
+
+  // Run fn once per key; callers arriving while it runs share the same promise
+  do(key, fn) {
+    if (this.pending.has(key)) {
+      this.stats.coalesced++;
+      console.log(`🔗 Joining in-flight request: ${key}`);
+      return this.pending.get(key);
+    }
+
+    this.stats.executed++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.pending.delete(key);
+      });
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  getStats() {
+    return {
+      in_flight_keys: this.pending.size,
+      executed: this.stats.executed,
+      coalesced: this.stats.coalesced
+    };
+  }
+}
+
+module.exports = SingleFlight;
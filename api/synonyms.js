@@ -0,0 +1,112 @@
+// synonyms.js - Sorts PubChem's synonym list into systematic, common and brand names and registry numbers
+// Pattern rules decide most entries, brand-names.js lists known trade names, and PubChem's RN cross-references
+// confirm which CAS numbers are current.
+
+const { SYNONYM_GROUPS, isCasNumber } = require('./pubchem-validator');
+const { isBrandName } = require('./brand-names');
+
+// Names kept per group; counts still report the full size
+const GROUP_LIMIT = 10;
+
+const CAS_PATTERN = /^(?:CAS(?:\s*RN)?[-\s:]*)?(\d{2,7}-\d{2}-\d)$/i;
+const EC_PATTERN = /^(?:EC|EINECS|ELINCS)?[-\s:]*(\d{3}-\d{3}-\d)$/i;
+const UNII_PATTERN = /^UNII[-\s:]*([A-Z0-9]{10})$/i;
+
+// Database and supplier IDs: known prefixes, or any code of capitals and digits without spaces
+const REGISTRY_PREFIXES = /^(CHEMBL|SCHEMBL|DTXSID|DTXCID|NSC|ZINC|BDBM|HMDB|CHEBI|KEGG|MFCD|AKOS|BRN|NCGC|MLS|SMR|SPBIO|TOX21|CCRIS|HSDB|RTECS|WLN|InChI=)/i;
+const CODE_PATTERN = /^(?=.*\d)[A-Z0-9][A-Z0-9_:.#/-]*$/;
+
+// Locants (2-acetyloxy, 1,3,7-trimethyl), bracketed ring descriptors and stereo prefixes mark systematic names
+const SYSTEMATIC_PATTERN = /\d+(?:,\d+)*'*-[A-Za-z([]|\[[^\]]+\]|^\(?[RSEZ](?:,[RSEZ])*\)-|^[NOS](?:,[NOS]'*)*'*-[a-z]/;
+
+// EC check digit: first six digits weighted 1-6, modulo 11
+function isEcNumber(value) {
+  const digits = value.replace(/-/g, '').split('').map(Number);
+  const sum = digits.slice(0, 6).reduce((total, digit, index) => total + digit * (index + 1), 0);
+  return sum % 11 === digits[6];
+}
+
+// A bare 10-character code is only a UNII when the list also has it as "UNII-..." or the RN
+// cross-references carry it; otherwise CHEMBL1201 or AKOS000118 would pass for one.
+function classify(synonym, confirmedUniis) {
+  const cas = CAS_PATTERN.exec(synonym);
+  if (cas && isCasNumber(cas[1])) return ['cas', cas[1]];
+
+  const ec = EC_PATTERN.exec(synonym);
+  if (ec && isEcNumber(ec[1])) return ['ec', ec[1]];
+
+  const unii = UNII_PATTERN.exec(synonym);
+  if (unii) return ['unii', unii[1].toUpperCase()];
+
+  if (REGISTRY_PREFIXES.test(synonym)) return ['other', synonym];
+  if (confirmedUniis.has(synonym.toUpperCase())) return ['unii', synonym.toUpperCase()];
+  if (CODE_PATTERN.test(synonym)) return ['other', synonym];
+  if (SYSTEMATIC_PATTERN.test(synonym)) return ['iupac', synonym];
+
+  // A trademark sign or the curated trade-name list marks a brand; capitalisation alone cannot tell
+  // Tylenol from Ibuprofen or Water
+  if (/[®™]/.test(synonym) || isBrandName(synonym)) return ['brand', synonym.replace(/\s*[®™]\s*/g, '').trim()];
+
+  return ['common', synonym];
+}
+
+/**
+ * Group a PubChem synonym list (in PubChem's order, most used first).
+ * registryNumbers is the compound's xrefs/RN list when available; a CAS number found there is preferred
+ * for cas_number over deprecated numbers that still appear among the synonyms, and a bare code found there
+ * counts as a UNII.
+ */
+function classifySynonyms(synonyms, registryNumbers = []) {
+  const names = synonyms || [];
+  const groups = {};
+  const seen = {};
+  SYNONYM_GROUPS.forEach(group => {
+    groups[group] = [];
+    seen[group] = new Set();
+  });
+
+  const add = (group, value) => {
+    const key = value.toLowerCase();
+    if (seen[group].has(key)) return;
+    seen[group].add(key);
+    groups[group].push(value);
+  };
+
+  const confirmedUniis = new Set([
+    ...names.map(synonym => UNII_PATTERN.exec(synonym.trim())).filter(Boolean).map(match => match[1].toUpperCase()),
+    ...(registryNumbers || []).map(number => String(number).toUpperCase())
+  ]);
+  names.forEach(synonym => add(...classify(synonym.trim(), confirmedUniis)));
+
+  const registeredCas = (registryNumbers || []).filter(number => isCasNumber(number));
+  registeredCas.forEach(number => add('cas', number));
+
+  // Picked before the groups are trimmed, so a registered number listed after deprecated ones still wins
+  const casNumber = groups.cas.find(number => registeredCas.includes(number)) || groups.cas[0] || null;
+
+  const counts = {};
+  SYNONYM_GROUPS.forEach(group => {
+    counts[group] = groups[group].length;
+    groups[group] = groups[group].slice(0, GROUP_LIMIT);
+  });
+
+  return {
+    cas_number: casNumber,
+    total: names.length,
+    counts,
+    groups
+  };
+}
+
+// Keep only the requested groups; cas_number always stays
+function selectSynonymGroups(classified, groups) {
+  if (!classified || !groups || Array.isArray(classified)) return classified;
+
+  const pick = source => Object.fromEntries(groups.map(group => [group, source[group]]));
+  return { ...classified, counts: pick(classified.counts), groups: pick(classified.groups) };
+}
+
+module.exports = {
+  classifySynonyms,
+  selectSynonymGroups
+};
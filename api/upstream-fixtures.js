@@ -0,0 +1,124 @@
+// upstream-fixtures.js - Record/replay storage for PubChem traffic (offline, deterministic testing)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Response, Headers } = require('node-fetch');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'pubchem');
+const SKIPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection']);
+
+class UpstreamFixtures {
+  constructor(directory = DEFAULT_FIXTURES_DIR) {
+    this.directory = directory;
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+  }
+
+  // Readable prefix plus a hash of the full request so distinct queries never collide
+  fixtureFile(method, url, body) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(`${method} ${url}\n${body ? String(body) : ''}`)
+      .digest('hex')
+      .slice(0, 12);
+    const slug = url
+      .replace(/^https?:\/\/[^/]+\/rest\//, '')
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .slice(0, 80);
+    return path.join(this.directory, `${method.toLowerCase()}_${slug}_${hash}.json`);
+  }
+
+  // Save the upstream response and hand back an unread copy for the caller
+  async recordResponse(method, url, body, response) {
+    const bytes = await response.buffer();
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      // node-fetch has already decoded the body, so transfer headers no longer describe it
+      if (!SKIPPED_HEADERS.has(name)) {
+        headers[name] = value;
+      }
+    });
+    headers['content-length'] = String(bytes.length);
+
+    this.write(method, url, body, {
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body_base64: bytes.toString('base64')
+      }
+    });
+
+    return new Response(bytes, {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: new Headers(headers)
+    });
+  }
+
+  // Network errors and timeouts are recorded too, so error paths replay the same way
+  recordError(method, url, body, error) {
+    this.write(method, url, body, {
+      error: {
+        name: error.name,
+        type: error.type || null,
+        code: error.code || null,
+        message: error.message
+      }
+    });
+  }
+
+  write(method, url, body, outcome) {
+    const file = this.fixtureFile(method, url, body);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      request: { method, url, body: body ? String(body) : null },
+      recorded_at: new Date().toISOString(),
+      ...outcome
+    }, null, 2));
+    this.stats.recorded++;
+    console.log(`📼 Recorded fixture: ${path.basename(file)}`);
+  }
+
+  // Rebuild the recorded Response, rethrow the recorded error, or fail loudly when absent
+  replay(method, url, body) {
+    const file = this.fixtureFile(method, url, body);
+
+    if (!fs.existsSync(file)) {
+      this.stats.missing++;
+      console.error(`❌ Missing replay fixture for ${method} ${url} (expected ${file})`);
+      const error = new Error(`No recorded fixture for ${method} ${url}; record it with PUBCHEM_UPSTREAM_MODE=record (expected ${path.basename(file)})`);
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.stats.replayed++;
+
+    if (fixture.error) {
+      const error = new Error(fixture.error.message);
+      error.name = fixture.error.name;
+      if (fixture.error.type) error.type = fixture.error.type;
+      if (fixture.error.code) error.code = fixture.error.code;
+      throw error;
+    }
+
+    const { status, statusText, headers, body_base64: bodyBase64 } = fixture.response;
+    return new Response(Buffer.from(bodyBase64, 'base64'), {
+      url,
+      status,
+      statusText,
+      headers: new Headers(headers)
+    });
+  }
+
+  getStats() {
+    return {
+      fixtures_dir: this.directory,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = UpstreamFixtures;
@@ -0,0 +1,169 @@
+// test-cache-store.js
+// Runs the CacheStore contract against the memory, file and Redis backends
+// Redis is skipped when REDIS_URL (default redis://127.0.0.1:6379) cannot be reached
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CacheStore, MemoryBackend, FileBackend, RedisBackend } = require('./api/cache-store');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// One-second lifetime and grace period keep the TTL checks short; refreshAheadRatio 0.5 makes
+// an entry near expiry after half a second
+const contract = [
+  ['missing keys read as undefined', async store => {
+    assert(await store.get('absent') === undefined, 'get() returned a value for a key that was never set');
+    assert(await store.getEntry('absent', { allowStale: true }) === undefined, 'getEntry() returned an entry for a key that was never set');
+  }],
+  ['set then get returns the value with its timestamps', async store => {
+    const value = { cid: 2244, formula: 'C9H8O4', tags: ['analgesic'] };
+    const written = await store.set('aspirin', value);
+    assert(JSON.stringify(await store.get('aspirin')) === JSON.stringify(value), 'get() did not return the stored value');
+
+    const entry = await store.getEntry('aspirin');
+    assert(entry.stale === false, 'a fresh entry came back stale');
+    assert(entry.storedAt === written.storedAt && entry.expiresAt === written.expiresAt, 'timestamps differ from the ones set() returned');
+    assert(entry.expiresAt - entry.storedAt === 1000, `expected a 1000 ms lifetime, got ${entry.expiresAt - entry.storedAt}`);
+  }],
+  ['entries turn near expiry in the last part of their lifetime', async store => {
+    await store.set('near', 'value');
+    assert(!store.isNearExpiry(await store.getEntry('near')), 'a just-written entry is already near expiry');
+    await sleep(600);
+    assert(store.isNearExpiry(await store.getEntry('near')), 'an entry past half its lifetime is not near expiry');
+  }],
+  ['expired entries are hidden unless allowStale is passed', async store => {
+    await store.set('expiring', 'old value');
+    await sleep(1100);
+    assert(await store.get('expiring') === undefined, 'get() returned an expired entry');
+    assert(await store.getEntry('expiring') === undefined, 'getEntry() without allowStale returned an expired entry');
+
+    const stale = await store.getEntry('expiring', { allowStale: true });
+    assert(stale && stale.stale === true && stale.value === 'old value', 'allowStale did not return the expired entry marked stale');
+    assert(!store.isNearExpiry(stale), 'a stale entry counts as near expiry');
+  }],
+  ['entries are gone once the grace period ends', async store => {
+    await store.set('gone', 'value');
+    await sleep(2200);
+    assert(await store.getEntry('gone', { allowStale: true }) === undefined, 'an entry outlived its grace period');
+  }],
+  ['a per-call TTL overrides the default', async store => {
+    await store.set('long', 'value', 60);
+    await sleep(1100);
+    assert(await store.get('long') === 'value', 'an entry with a 60 s TTL expired after the 1 s default');
+  }],
+  ['del removes the entry', async store => {
+    await store.set('deleted', 'value');
+    await store.del('deleted');
+    assert(await store.getEntry('deleted', { allowStale: true }) === undefined, 'del() left the entry behind');
+  }],
+  ['namespaces do not share keys', async (store, backend) => {
+    const other = new CacheStore({ namespace: `${store.namespace}-other`, stdTTL: 1, backend });
+    await store.set('shared', 'mine');
+    await other.set('shared', 'theirs');
+    assert(await store.get('shared') === 'mine', 'a second namespace overwrote the key');
+  }]
+];
+
+async function runContract(backend) {
+  console.log(`\n🧪 Testing backend: ${backend.name}`);
+  let passed = 0;
+  for (const [index, [name, check]] of contract.entries()) {
+    const store = new CacheStore({
+      namespace: `contract-${process.pid}-${Date.now()}-${index}`,
+      stdTTL: 1,
+      staleTTL: 1,
+      refreshAheadRatio: 0.5,
+      backend
+    });
+    try {
+      await check(store, backend);
+      assert(store.getStats().errors === 0, `${store.getStats().errors} backend error(s) were swallowed`);
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+  return { passed, total: contract.length };
+}
+
+// Files expire on disk, not just on read: a sweep removes keys nobody asks for again
+async function runFileSweep(directory) {
+  console.log('\n🧪 Testing file backend sweep');
+  const backend = new FileBackend(directory);
+  const store = new CacheStore({ namespace: `sweep-${process.pid}`, stdTTL: 1, staleTTL: 0, backend });
+  try {
+    await store.set('short', 'value');
+    await store.set('long', 'value', 60);
+    await sleep(1100);
+    const removed = await backend.sweep();
+    const files = fs.readdirSync(directory).filter(name => name.endsWith('.json'));
+    assert(removed >= 1, `sweep() removed ${removed} files, expected the expired one`);
+    assert(await store.get('long') === 'value', 'sweep() removed an entry that has not expired');
+    assert(files.length === 1, `expected 1 file left after the sweep, found ${files.length}`);
+    console.log('✅ expired files are removed without being read');
+    return { passed: 1, total: 1 };
+  } catch (error) {
+    console.log(`❌ expired files are removed without being read: ${error.message}`);
+    return { passed: 0, total: 1 };
+  }
+}
+
+// Connects once without retries; null when no Redis server answers
+async function connectRedis() {
+  const Redis = require('ioredis');
+  const url = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+  const client = new Redis(url, {
+    keyPrefix: 'molexa-test:',
+    lazyConnect: true,
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false,
+    retryStrategy: () => null
+  });
+  client.on('error', () => { });
+  try {
+    await client.connect();
+    await client.ping();
+    return client;
+  } catch (error) {
+    console.log(`\n⏭️  Skipping redis backend: ${url} is not reachable (${error.message})`);
+    client.disconnect();
+    return null;
+  }
+}
+
+async function runCacheStoreTests() {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'molexa-cache-test-'));
+  const results = [];
+
+  try {
+    results.push(await runContract(new MemoryBackend()));
+    results.push(await runContract(new FileBackend(cacheDir)));
+    results.push(await runFileSweep(fs.mkdtempSync(path.join(cacheDir, 'sweep-'))));
+
+    const redis = await connectRedis();
+    if (redis) {
+      try {
+        results.push(await runContract(new RedisBackend(redis)));
+      } finally {
+        redis.disconnect();
+      }
+    }
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+
+  const passed = results.reduce((sum, result) => sum + result.passed, 0);
+  const total = results.reduce((sum, result) => sum + result.total, 0);
+  console.log(`\n📊 Cache contract: ${passed}/${total} passed in ${results.length} suite(s)`);
+  process.exit(passed === total ? 0 : 1);
+}
+
+runCacheStoreTests();
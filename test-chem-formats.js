@@ -0,0 +1,196 @@
+// test-chem-formats.js
+// Offline checks for the structure readers and writers in api/molfile.js and api/chem-formats.js
+
+const { FORMATS, readMolecules, writeMolecules, detectFormat } = require('./api/chem-formats');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// Acetate as a V2000 molfile: a double bond and a charge set by M  CHG
+const ACETATE_V2000 = [
+  'acetate',
+  '  test              3D',
+  '',
+  '  4  3  0  0  0  0  0  0  0  0999 V2000',
+  '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  '    1.5000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  '    2.1000    1.1000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+  '    2.1000   -1.1000    0.2000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+  '  1  2  1  0  0  0  0',
+  '  2  3  2  0  0  0  0',
+  '  2  4  1  0  0  0  0',
+  'M  CHG  1   4  -1',
+  'M  END',
+  ''
+].join('\n');
+
+// V3000 with a continued M  V30 line and a CHG keyword, followed by a data item
+const ETHANOL_V3000 = [
+  'ethanol',
+  '  test',
+  '',
+  '  0  0  0     0  0            999 V3000',
+  'M  V30 BEGIN CTAB',
+  'M  V30 COUNTS 3 2 0 0 0',
+  'M  V30 BEGIN ATOM',
+  'M  V30 1 C 0 0 0 0',
+  'M  V30 2 C 1.5 0 0 0 -',
+  'M  V30 CHG=1',
+  'M  V30 3 O 2 1 0 0 CHG=-1',
+  'M  V30 END ATOM',
+  'M  V30 BEGIN BOND',
+  'M  V30 1 1 1 2',
+  'M  V30 2 2 2 3',
+  'M  V30 END BOND',
+  'M  V30 END CTAB',
+  'M  END',
+  '> <PUBCHEM_COMPOUND_CID>',
+  '702',
+  '',
+  '$$$$',
+  ''
+].join('\n');
+
+const TWO_RECORD_SDF = [
+  `${ACETATE_V2000}> <NAME>\nacetate\n\n> <NOTE>\ntwo\nlines\n\n$$$$\n`,
+  ETHANOL_V3000
+].join('');
+
+const summary = molecule => JSON.stringify({
+  atoms: molecule.atoms.map(atom => [atom.element, atom.x, atom.y, atom.z, atom.charge]),
+  bonds: molecule.bonds
+});
+
+// Read one input and return the PARSE_ERROR it throws
+function parseFailure(input, format) {
+  try {
+    readMolecules(input, format);
+  } catch (error) {
+    assert(error.code === 'PARSE_ERROR', `expected a PARSE_ERROR, got ${error.code}: ${error.message}`);
+    assert(error.status === 400, `expected status 400, got ${error.status}`);
+    return error;
+  }
+  throw new Error(`${format} input was accepted`);
+}
+
+const checks = [
+  ['V2000 molfile: atoms, bond orders and M  CHG charges', () => {
+    const [molecule] = readMolecules(ACETATE_V2000, 'mol');
+    assert(molecule.title === 'acetate', `title is ${molecule.title}`);
+    assert(molecule.atoms.map(atom => atom.element).join('') === 'CCOO', 'wrong elements');
+    assert(molecule.atoms[3].charge === -1 && molecule.atoms[2].charge === 0, 'M  CHG was not applied');
+    assert(molecule.atoms[3].z === 0.2 && molecule.atoms[2].y === 1.1, 'wrong coordinates');
+    assert(JSON.stringify(molecule.bonds.map(bond => bond.order)) === '[1,2,1]', 'wrong bond orders');
+  }],
+  ['V3000 molfile: continuation lines, CHG and data items', () => {
+    const [molecule] = readMolecules(ETHANOL_V3000, 'sdf');
+    assert(molecule.atoms.map(atom => atom.charge).join(',') === '0,1,-1', 'wrong charges');
+    assert(JSON.stringify(molecule.bonds) === '[{"from":0,"to":1,"order":1},{"from":1,"to":2,"order":2}]', 'wrong bonds');
+    assert(molecule.properties.PUBCHEM_COMPOUND_CID === '702', 'data item was not read');
+  }],
+  ['multi-record SDF mixing V2000 and V3000', () => {
+    const molecules = readMolecules(TWO_RECORD_SDF, 'sdf');
+    assert(molecules.length === 2, `read ${molecules.length} records`);
+    assert(molecules[0].properties.NOTE === 'two\nlines' && molecules[0].properties.NAME === 'acetate', 'multi-line data item was not kept');
+    assert(molecules[1].title === 'ethanol', `second title is ${molecules[1].title}`);
+    assert(parseFailure(TWO_RECORD_SDF, 'mol').line === 1, 'a two-record molfile was not rejected at line 1');
+  }],
+  ['round trip through sdf, mol, pdb, cml and json keeps atoms, charges and bonds', () => {
+    const [molecule] = readMolecules(ACETATE_V2000, 'mol');
+    ['sdf', 'mol', 'pdb', 'cml', 'json'].forEach(format => {
+      const written = writeMolecules([molecule], format);
+      const [back] = readMolecules(written, format);
+      assert(summary(back) === summary(molecule), `${format} changed the molecule: ${summary(back)}`);
+      assert(back.title === 'acetate', `${format} lost the title`);
+    });
+  }],
+  ['round trip through xyz keeps elements and coordinates only', () => {
+    const [molecule] = readMolecules(ACETATE_V2000, 'mol');
+    const [back] = readMolecules(writeMolecules([molecule], 'xyz'), 'xyz');
+    assert(JSON.stringify(back.atoms.map(atom => [atom.element, atom.x, atom.y, atom.z]))
+      === JSON.stringify(molecule.atoms.map(atom => [atom.element, atom.x, atom.y, atom.z])), 'xyz changed the atoms');
+    assert(back.bonds.length === 0, 'xyz invented bonds');
+  }],
+  ['several molecules survive as SDF records, XYZ frames, PDB models and one CML document', () => {
+    const molecules = readMolecules(TWO_RECORD_SDF, 'sdf');
+    ['sdf', 'xyz', 'pdb', 'cml', 'json'].forEach(format => {
+      const back = readMolecules(writeMolecules(molecules, format), format);
+      assert(back.length === 2, `${format} returned ${back.length} molecules`);
+      assert(back[1].atoms.length === 3, `${format} lost atoms of the second molecule`);
+      if (format !== 'xyz') {
+        assert(summary(back[1]) === summary(molecules[1]), `${format} changed the second molecule`);
+      }
+    });
+  }],
+  ['written files are detected as their own format', () => {
+    const molecules = readMolecules(ACETATE_V2000, 'mol');
+    ['sdf', 'xyz', 'pdb', 'cml'].forEach(format => {
+      const detected = detectFormat(writeMolecules(molecules, format));
+      assert(detected === format, `${format} output detected as ${detected}`);
+    });
+    assert(detectFormat(ACETATE_V2000) === 'sdf', 'a molfile is not detected as sdf');
+    assert(detectFormat(JSON.stringify(writeMolecules(molecules, 'json'))) === 'json', 'json is not detected');
+    assert(detectFormat('not a structure') === null, 'plain text was detected as a format');
+  }],
+  ['MOL2 output carries SYBYL types and bond orders', () => {
+    const mol2 = writeMolecules(readMolecules(ACETATE_V2000, 'mol'), 'mol2');
+    assert(mol2.startsWith('@<TRIPOS>MOLECULE\nacetate\n4 3 1 0 0\n'), 'wrong MOL2 header');
+    assert(/ O\.2 /.test(mol2) && / C\.2 /.test(mol2) && / C\.3 /.test(mol2), 'SYBYL atom types are missing');
+    assert(/\n {5}2 {5}2 {5}3 2\n/.test(mol2), 'the double bond is not written as type 2');
+    assert(typeof FORMATS.mol2.contentType === 'string', 'mol2 has no content type');
+  }]
+];
+
+// [reader, input, expected line, expected field]: every reader names where it failed
+const failures = [
+  ['sdf', ACETATE_V2000.replace('    2.1000    1.1000', '    2.1x00    1.1000'), 7, 'x'],
+  ['sdf', ACETATE_V2000.replace('  2  3  2', '  2  9  2'), 10, 'second atom'],
+  ['sdf', ACETATE_V2000.replace('M  END\n', ''), 14, 'M  END line'],
+  ['sdf', ACETATE_V2000.replace('999 V2000', '999 V4000'), 4, 'version'],
+  ['sdf', ETHANOL_V3000.replace('COUNTS 3 2', 'COUNTS 4 2'), 6, 'counts'],
+  ['sdf', ETHANOL_V3000.replace('2 2 2 3', '2 2 2 5'), 15, 'second atom'],
+  ['sdf', '   \n\n', 1, null],
+  ['mol', ACETATE_V2000.replace(' O   0', ' Q   0'), 7, 'symbol'],
+  ['xyz', '2\nwater fragment\nC 0 0 0\nQ 1 1 1\n', 4, 'element'],
+  ['xyz', '2\nshort line\nC 0 0 0\nO 1 1\n', 4, 'coordinates'],
+  ['pdb', 'HETATM    1  C1  UNL A   1       0.000   0.000   0.000  1.00  0.00           C\nCONECT    1   22\nEND\n', 2, 'bonded atom 1'],
+  ['pdb', 'HETATM    1  C1  UNL A   1       0.0x0   0.000   0.000  1.00  0.00           C\nEND\n', 1, 'x'],
+  ['cml', '<molecule id="m1">\n <atomArray>\n  <atom id="a1" elementType="Xx" x3="0" y3="0" z3="0"/>\n </atomArray>\n</molecule>\n', 3, 'elementType'],
+  ['cml', '<molecule id="m1">\n <atomArray>\n  <atom id="a1" x3="0" y3="0" z3="0"/>\n </atomArray>\n</molecule>\n', 3, 'elementType'],
+  ['json', '{"atoms":[{"element":"C","x":0,"y":0,"z":"a"}]}', null, 'atoms[0].z'],
+  ['json', '{"atoms":[\n{"element":"C",}]}', 2, null],
+  ['json', { molecules: [{ atoms: [{ element: 'C', x: 0, y: 0, z: 0 }], bonds: [{ from: 0, to: 3 }] }] }, null, 'molecules[0].bonds[0].to']
+];
+
+let passed = 0;
+const total = checks.length + failures.length;
+
+console.log('\n🧪 Testing structure readers and writers');
+checks.forEach(([name, check]) => {
+  try {
+    check();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+});
+
+console.log('\n🧪 Testing parse errors');
+failures.forEach(([format, input, line, field]) => {
+  try {
+    const error = parseFailure(input, format);
+    assert(error.line === line && error.field === field,
+      `expected line ${line}, field ${JSON.stringify(field)}; got line ${error.line}, field ${JSON.stringify(error.field)} (${error.message})`);
+    console.log(`✅ ${format}: ${error.message}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${format}: ${error.message}`);
+  }
+});
+
+console.log(`\n📊 Structure formats: ${passed}/${total} passed`);
+process.exit(passed === total ? 0 : 1);
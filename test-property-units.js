@@ -0,0 +1,74 @@
+// test-property-units.js
+// Offline checks for the experimental-value parser in api/property-units.js
+
+const { parseMeasurement } = require('./api/property-units');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// [PubChem text, quantity, expected fields]; value/range are in lab units, null means "not parsed"
+const cases = [
+  ['138-140 °C', 'temperature', { range: { min: 138, max: 140 }, unit: '°C' }],
+  ['-114.1 °C', 'temperature', { value: -114.1, unit: '°C' }],
+  ['212 °F', 'temperature', { value: 100, unit: '°C', si: 373.15 }],
+  ['1,3-Dichloro-2-propanol: 156 °C', 'temperature', { value: 156, unit: '°C' }],
+  ['1,200-1,300 °C', 'temperature', { range: { min: 1200, max: 1300 }, unit: '°C' }],
+  ['1.4 g/cu cm at 25 °C', 'density', { value: 1.4, unit: 'g/cm³', si: 1400, temperature: 25 }],
+  ['Density: 1.35 at 20 °C/4 °C', 'density', { value: 1.35, unit: 'g/cm³', temperature: 20 }],
+  ['Relative density (water = 1): 1.05', 'density', { value: 1.05, unit: 'g/cm³' }],
+  ['Density: 1.35 at 20 °C', 'density', { value: null, unit: null }],
+  ['0.02 mm Hg at 25 °C', 'pressure', { value: 0.02, unit: 'mmHg', temperature: 25 }],
+  ['1 atm', 'pressure', { value: 760, unit: 'mmHg' }],
+  ['In water, 4,600 mg/L at 25 °C', 'concentration', { value: 4.6, unit: 'mg/mL', temperature: 25 }],
+  ['In water, 1,000,000 mg/L at 20 °C (miscible)', 'concentration', { value: 1000, unit: 'mg/mL' }],
+  ['greater than or equal to 100 mg/mL at 70 °F (NTP, 1992)', 'concentration', { value: 100, qualifier: '>=', unit: 'mg/mL' }],
+  ['1 g dissolves in 300 mL water', 'concentration', { value: 3.33333, unit: 'mg/mL' }],
+  ['Solubility: 3 (see note 12)', 'concentration', { value: null, unit: null }],
+  ['Very soluble in ethanol', 'concentration', { value: null, unit: null }]
+];
+
+function check([text, quantity, expected]) {
+  const result = parseMeasurement(text, quantity);
+  assert(result.original === text, 'the original text was not kept');
+
+  if ('value' in expected) {
+    assert(result.value === expected.value, `value ${result.value}, expected ${expected.value}`);
+  }
+  if (expected.range) {
+    assert(result.range && result.range.min === expected.range.min && result.range.max === expected.range.max,
+      `range ${JSON.stringify(result.range)}, expected ${JSON.stringify(expected.range)}`);
+  }
+  assert(result.unit === expected.unit, `unit ${result.unit}, expected ${expected.unit}`);
+  if (expected.qualifier) {
+    assert(result.qualifier === expected.qualifier, `qualifier ${result.qualifier}, expected ${expected.qualifier}`);
+  }
+  if (expected.si !== undefined) {
+    assert(result.si && result.si.value === expected.si, `SI value ${result.si && result.si.value}, expected ${expected.si}`);
+  }
+  if (expected.temperature !== undefined) {
+    const temperature = result.conditions && result.conditions.temperature;
+    assert(temperature && temperature.value === expected.temperature,
+      `condition temperature ${temperature && temperature.value}, expected ${expected.temperature}`);
+  }
+  if (expected.unit === null) {
+    assert(result.si === null && result.range === null, 'an unparsed value still carries numbers');
+  }
+}
+
+let passed = 0;
+console.log('\n🧪 Testing experimental value parser');
+cases.forEach(testCase => {
+  try {
+    check(testCase);
+    console.log(`✅ ${testCase[1]}: "${testCase[0]}"`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${testCase[1]}: "${testCase[0]}": ${error.message}`);
+  }
+});
+
+console.log(`\n📊 Property units: ${passed}/${cases.length} passed`);
+process.exit(passed === cases.length ? 0 : 1);
@@ -0,0 +1,225 @@
+// test-replay.js
+// Offline checks against the PubChem fixtures in fixtures/pubchem
+// Starts the API in replay mode on its own port, so no request ever reaches PubChem
+
+process.env.PUBCHEM_UPSTREAM_MODE = 'replay';
+process.env.PORT = process.env.REPLAY_TEST_PORT || '3101';
+
+const fetch = require('node-fetch');
+const { readMolecules } = require('./api/chem-formats');
+
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+// Acetaldehyde (CID 177) from the recorded 3D record: O, CH3 carbon, carbonyl carbon, then four hydrogens
+const ACETALDEHYDE = { atoms: 7, hydrogens: 4, bonds: 6, elements: 'OCCHHHH', orders: '2,1,1,1,1,1' };
+
+// Read a downloaded structure file back and compare it with the recorded conformer
+function matchesAcetaldehyde(text, format, { bonds = true } = {}) {
+  const [molecule] = readMolecules(text, format);
+  return molecule.atoms.length === ACETALDEHYDE.atoms &&
+    molecule.atoms.map(atom => atom.element).join('') === ACETALDEHYDE.elements &&
+    molecule.atoms.filter(atom => atom.hydrogen).length === ACETALDEHYDE.hydrogens &&
+    molecule.atoms[3].z === 0.89 &&
+    (!bonds || molecule.bonds.map(bond => bond.order).join(',') === ACETALDEHYDE.orders);
+}
+
+const checks = [
+  {
+    name: 'Property request replays the recorded PubChem answer',
+    path: '/api/pubchem/compound/cid/2244/property/MolecularFormula,MolecularWeight,XLogP/JSON',
+    status: 200,
+    verify: data => data.PropertyTable.Properties[0].MolecularFormula === 'C9H8O4' && Boolean(data.educational_context)
+  },
+  {
+    name: 'Recorded 404 becomes a not-found answer',
+    path: '/api/pubchem/compound/name/notacompound/cids/JSON',
+    status: 404,
+    verify: data => data.error === 'Compound not found'
+  },
+  {
+    name: 'Autocomplete replays its suggestions',
+    path: '/api/autocomplete/aspirin?limit=3',
+    status: 200,
+    verify: data => data.suggestions.length === 3 && data.suggestions[0] === 'aspirin'
+  },
+  {
+    name: 'Request without a fixture is reported, not sent upstream',
+    path: '/api/pubchem/compound/cid/1983/property/MolecularWeight/JSON',
+    status: 500,
+    verify: data => data.code === 'FIXTURE_MISSING'
+  },
+  {
+    name: 'Educational route reports a missing fixture too',
+    path: '/api/pubchem/compound/1983/educational?type=cid',
+    status: 500,
+    verify: data => data.code === 'FIXTURE_MISSING'
+  },
+  {
+    name: 'Educational lookup assembles properties, synonyms, 3D record, images and context',
+    path: '/api/pubchem/compound/177/educational',
+    status: 200,
+    verify: data => data.cid === 177 &&
+      data.search_info.found_via === 'direct CID' &&
+      Object.values(data.parts).every(part => part.status === 'ok') && Object.keys(data.parts).length === 5 &&
+      data.basic_properties.MolecularFormula === 'C2H4O' &&
+      data.synonyms.cas_number === '75-07-0' &&
+      JSON.stringify(data.synonyms.groups.unii) === '["GO1N1ZPR3B"]' &&
+      data.synonyms.groups.common[0] === 'acetaldehyde' &&
+      data.structure_3d.atoms.aid.length === 7 && data.structure_3d.coords[0].conformers[0].z.length === 7 &&
+      data.image_urls['2d_structure'].endsWith('/compound/cid/177/PNG') &&
+      data.educational_context[0].educational_context.molecular_weight_info.value === 44.05 &&
+      data.urls.pubchem_page === 'https://pubchem.ncbi.nlm.nih.gov/compound/177' &&
+      data.educational_sections.length === 6
+  },
+  {
+    name: 'PUG-View experimental properties are parsed with their references',
+    path: '/api/pugview/compound/177/properties',
+    status: 200,
+    verify: data => data.cid === 177 && data.name === 'Acetaldehyde' &&
+      data.properties.boiling_point.values.length === 2 && data.properties.boiling_point.median === 20.1611 &&
+      data.properties.boiling_point.values[1].references[0].source === 'CAMEO Chemicals' &&
+      data.properties.density.values[0].conditions.temperature.value === 18 &&
+      data.properties.solubility.median === 1000 &&
+      data.other_properties.some(item => item.heading === 'Odor')
+  },
+  {
+    name: 'Recorded 400 for a malformed SMILES becomes an invalid search',
+    path: '/api/pubchem/compound/C1CC/educational?type=smiles',
+    status: 400,
+    verify: data => data.error === 'Invalid compound search' && data.pubchem_error.includes('PUGREST.BadRequest')
+  },
+  {
+    name: 'Recorded 404 for an unknown name becomes a not-found answer',
+    path: '/api/pubchem/compound/notacompound/educational?type=name',
+    status: 404,
+    verify: data => data.error === 'Compound not found'
+  },
+  {
+    name: 'Recorded 404 for one part is reported as missing, not as a failed lookup',
+    path: '/api/pubchem/compound/5234/educational?include=structure_3d',
+    status: 200,
+    verify: data => data.parts.structure_3d.status === 'missing' && data.structure_3d === null
+  },
+  {
+    name: 'Recorded 500 without a cached copy fails the educational lookup',
+    path: '/api/pubchem/compound/3672/educational?include=properties',
+    status: 500,
+    verify: data => data.error === 'Failed to fetch educational data' && data.message.includes('PubChem API error: 500')
+  },
+  {
+    name: '3D structure JSON has atom and bond counts and hydrogen flags',
+    path: '/api/pubchem/compound/177/structure3d',
+    status: 200,
+    verify: data => data.cid === 177 &&
+      JSON.stringify(data.counts) === JSON.stringify({ atoms: 7, heavy_atoms: 3, hydrogens: 4, bonds: 6 }) &&
+      data.atoms.every(atom => atom.hydrogen === (atom.element === 'H')) &&
+      data.bonds.map(bond => bond.order).join(',') === ACETALDEHYDE.orders &&
+      JSON.stringify(data.bonds[0]) === JSON.stringify({ from: 0, to: 2, order: 2 })
+  },
+  {
+    name: '3D structure as XYZ',
+    path: '/api/pubchem/compound/177/structure3d?format=xyz',
+    status: 200,
+    type: 'chemical/x-xyz',
+    verify: text => text.startsWith('7\nCID 177\n') && matchesAcetaldehyde(text, 'xyz', { bonds: false })
+  },
+  {
+    name: '3D structure as PDB',
+    path: '/api/pubchem/compound/177/structure3d?format=pdb',
+    status: 200,
+    type: 'chemical/x-pdb',
+    verify: text => text.split('\n').filter(line => line.startsWith('HETATM')).length === 7 &&
+      /^CONECT {4}1 {4}3 {4}3$/m.test(text) && matchesAcetaldehyde(text, 'pdb')
+  },
+  {
+    name: '3D structure as MOL2',
+    path: '/api/pubchem/compound/177/structure3d?format=mol2',
+    status: 200,
+    type: 'chemical/x-mol2',
+    verify: text => text.startsWith('@<TRIPOS>MOLECULE\nCID 177\n7 6 1 0 0\n') &&
+      (text.match(/ H {6}1 /g) || []).length === 4 &&
+      / O\.2 /.test(text) && / C\.3 /.test(text) && / C\.2 /.test(text) &&
+      /\n {5}1 {5}1 {5}3 2\n/.test(text)
+  },
+  {
+    name: '3D structure as MOL',
+    path: '/api/pubchem/compound/177/structure3d?format=mol',
+    status: 200,
+    type: 'chemical/x-mdl-molfile',
+    verify: text => /^ {2}7 {2}6 .*V2000$/m.test(text) && text.includes('3D') && !text.includes('$$$$') &&
+      matchesAcetaldehyde(text, 'mol')
+  },
+  {
+    name: '3D structure as SDF',
+    path: '/api/pubchem/compound/177/structure3d?format=sdf',
+    status: 200,
+    type: 'chemical/x-mdl-sdfile',
+    verify: text => text.trimEnd().endsWith('$$$$') && matchesAcetaldehyde(text, 'sdf')
+  },
+  {
+    name: '3D structure as CML',
+    path: '/api/pubchem/compound/177/structure3d?format=cml',
+    status: 200,
+    type: 'chemical/x-cml',
+    verify: text => (text.match(/<atom /g) || []).length === 7 && (text.match(/<bond /g) || []).length === 6 &&
+      matchesAcetaldehyde(text, 'cml')
+  },
+  {
+    name: 'Recorded 404 for a compound without a conformer',
+    path: '/api/pubchem/compound/5234/structure3d',
+    status: 404,
+    verify: data => data.error === '3D structure not found'
+  },
+  {
+    name: 'Unknown 3D format is rejected before any upstream call',
+    path: '/api/pubchem/compound/177/structure3d?format=png',
+    status: 400,
+    verify: data => data.error === 'Invalid request' && Array.isArray(data.allowed) && data.allowed.includes('mol2')
+  }
+];
+
+// Checks with a content type read the body as text, the rest as JSON
+async function runCheck({ name, path, status, type, verify }) {
+  console.log(`\n🧪 Testing: ${name}`);
+  console.log(`📍 URL: ${BASE_URL}${path}`);
+
+  const response = await fetch(`${BASE_URL}${path}`, { headers: { 'Accept': 'application/json' } });
+  const data = type ? await response.text() : await response.json();
+
+  if (response.status !== status) {
+    console.log(`❌ Expected status ${status}, got ${response.status}:`, JSON.stringify(data).substring(0, 200));
+    return false;
+  }
+  if (!verify(data)) {
+    console.log(`❌ Unexpected body:`, JSON.stringify(data).substring(0, 200));
+    return false;
+  }
+  if (type && !response.headers.get('content-type').startsWith(type)) {
+    console.log(`❌ Expected content type ${type}, got ${response.headers.get('content-type')}`);
+    return false;
+  }
+  console.log(`✅ Status: ${response.status}`);
+  return true;
+}
+
+async function runReplayTests() {
+  require('./api/index.js');
+  // Give app.listen a moment to bind the port
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  let passed = 0;
+  for (const check of checks) {
+    try {
+      if (await runCheck(check)) passed++;
+    } catch (error) {
+      console.log(`❌ ${check.name} failed: ${error.message}`);
+    }
+    // Stay under the API's limit of 5 requests per second
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  console.log(`\n📊 Replay tests: ${passed}/${checks.length} passed`);
+  process.exit(passed === checks.length ? 0 : 1);
+}
+
+runReplayTests();
@@ -387,6 +387,10 @@ Environment Variables:
   TEST_ENV=local              # Test local server at localhost:3001
   TEST_ENV=production         # Test production at molexa.org (default)
 
+Offline (deterministic) runs:
+  npm run start:record        # Start local server recording PubChem fixtures
+  npm run start:replay        # Start local server replaying fixtures, no network
+
 Examples:
   npm test                    # Test https://molexa.org/api
   TEST_ENV=local npm test     # Test http://localhost:3001/api
@@ -0,0 +1,97 @@
+// test-synonyms.js
+// Offline checks for the synonym classifier in api/synonyms.js
+
+const { classifySynonyms, selectSynonymGroups } = require('./api/synonyms');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// Shaped like PubChem's synonym list for aspirin (CID 2244), most used names first
+const ASPIRIN_SYNONYMS = [
+  'aspirin',
+  'ACETYLSALICYLIC ACID',
+  '50-78-2',
+  '2-Acetoxybenzoic acid',
+  '2-(Acetyloxy)benzoic acid',
+  'Ecotrin',
+  'Easprin',
+  'Bufferin®',
+  'R16CO5Y76E',
+  'UNII-R16CO5Y76E',
+  'EC 200-064-1',
+  'CHEMBL25',
+  'CHEMBL1201',
+  'AKOS000118',
+  'DTXSID5020108',
+  '11126-35-5'
+];
+
+const groupOf = (result, name) => Object.keys(result.groups).find(group => result.groups[group].includes(name));
+
+const checks = [
+  ['registry codes of UNII length stay in other', () => {
+    const result = classifySynonyms(ASPIRIN_SYNONYMS);
+    assert(groupOf(result, 'CHEMBL1201') === 'other', `CHEMBL1201 filed as ${groupOf(result, 'CHEMBL1201')}`);
+    assert(groupOf(result, 'AKOS000118') === 'other', `AKOS000118 filed as ${groupOf(result, 'AKOS000118')}`);
+  }],
+  ['a bare UNII counts once the list also has it as UNII-...', () => {
+    const result = classifySynonyms(ASPIRIN_SYNONYMS);
+    assert(JSON.stringify(result.groups.unii) === '["R16CO5Y76E"]', `unii group is ${JSON.stringify(result.groups.unii)}`);
+  }],
+  ['an unconfirmed 10-character code is not a UNII', () => {
+    const result = classifySynonyms(['caffeine', 'ABC1234567']);
+    assert(result.groups.unii.length === 0, `unii group is ${JSON.stringify(result.groups.unii)}`);
+    assert(groupOf(result, 'ABC1234567') === 'other', `ABC1234567 filed as ${groupOf(result, 'ABC1234567')}`);
+  }],
+  ['the RN cross-references confirm a bare UNII', () => {
+    const result = classifySynonyms(['caffeine', '3G6A5W338E'], ['58-08-2', '3G6A5W338E']);
+    assert(JSON.stringify(result.groups.unii) === '["3G6A5W338E"]', `unii group is ${JSON.stringify(result.groups.unii)}`);
+  }],
+  ['listed trade names and trademark signs fill the brand group', () => {
+    const result = classifySynonyms(ASPIRIN_SYNONYMS);
+    assert(JSON.stringify(result.groups.brand) === '["Ecotrin","Easprin","Bufferin"]', `brand group is ${JSON.stringify(result.groups.brand)}`);
+    assert(groupOf(result, 'aspirin') === 'common', `aspirin filed as ${groupOf(result, 'aspirin')}`);
+  }],
+  ['systematic names, CAS, EC and database IDs land in their groups', () => {
+    const result = classifySynonyms(ASPIRIN_SYNONYMS);
+    assert(groupOf(result, '2-Acetoxybenzoic acid') === 'iupac', '2-Acetoxybenzoic acid is not iupac');
+    assert(groupOf(result, '2-(Acetyloxy)benzoic acid') === 'iupac', '2-(Acetyloxy)benzoic acid is not iupac');
+    assert(groupOf(result, 'ACETYLSALICYLIC ACID') === 'common', 'ACETYLSALICYLIC ACID is not common');
+    assert(JSON.stringify(result.groups.cas) === '["50-78-2","11126-35-5"]', `cas group is ${JSON.stringify(result.groups.cas)}`);
+    assert(JSON.stringify(result.groups.ec) === '["200-064-1"]', `ec group is ${JSON.stringify(result.groups.ec)}`);
+    assert(groupOf(result, 'CHEMBL25') === 'other' && groupOf(result, 'DTXSID5020108') === 'other', 'database IDs are not in other');
+  }],
+  ['cas_number prefers the registered number even when it is listed later', () => {
+    const synonyms = ['11126-35-5', ...Array.from({ length: 12 }, (item, index) => `name ${index}`), '50-78-2'];
+    const result = classifySynonyms(synonyms, ['50-78-2']);
+    assert(result.cas_number === '50-78-2', `cas_number is ${result.cas_number}`);
+  }],
+  ['groups keep 10 names but count them all', () => {
+    const synonyms = Array.from({ length: 15 }, (item, index) => `common name ${index}`);
+    const result = classifySynonyms(synonyms);
+    assert(result.groups.common.length === 10 && result.counts.common === 15 && result.total === 15, 'group limit or counts are wrong');
+  }],
+  ['selectSynonymGroups keeps the requested groups and cas_number', () => {
+    const result = selectSynonymGroups(classifySynonyms(ASPIRIN_SYNONYMS), ['brand']);
+    assert(Object.keys(result.groups).join(',') === 'brand' && Object.keys(result.counts).join(',') === 'brand', 'other groups were kept');
+    assert(result.cas_number === '50-78-2', `cas_number is ${result.cas_number}`);
+  }]
+];
+
+let passed = 0;
+console.log('\n🧪 Testing synonym classifier');
+checks.forEach(([name, check]) => {
+  try {
+    check();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+});
+
+console.log(`\n📊 Synonyms: ${passed}/${checks.length} passed`);
+process.exit(passed === checks.length ? 0 : 1);